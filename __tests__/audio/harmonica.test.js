@@ -0,0 +1,81 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { harmonicaNotes, syllablesOf } from "../../src/audio/harmonica";
+import { parseHarmonicaTab } from "../../src/harmonica/parse";
+import { pairSyllables } from "../../src/reader/karaoke";
+
+const tab = (name) =>
+  readFileSync(
+    new URL(`../../Harmonica/Harmonica Tabs/${name}`, import.meta.url),
+    "utf8",
+  );
+
+const split = (text) =>
+  syllablesOf(text)
+    .map((syllable) => syllable.text)
+    .join(" ");
+
+describe("syllablesOf", () => {
+  it("leaves silent endings on the syllable before", () => {
+    expect(split("miles raised fare there's eye")).toBe(
+      "miles raised fare there's eye",
+    );
+    expect(split("table horses wanted")).toBe("ta ble hor ses wan ted");
+  });
+
+  it("splits between the consonants of a cluster", () => {
+    expect(split("remember everything trouble")).toBe(
+      "re mem ber ev ery thing trou ble",
+    );
+    expect(split("you today player liar")).toBe("you to day pla yer li ar");
+  });
+
+  it("gives the columns syllables start at", () => {
+    expect(syllablesOf("I hurt myself", 3).map((s) => s.column)).toEqual([
+      3, 5, 10, 12,
+    ]);
+  });
+});
+
+describe("pairSyllables", () => {
+  it("only flags the lines of the bundled songs that don't come out even", () => {
+    const differing = (name) =>
+      parseHarmonicaTab(tab(name))
+        .lines.filter((line) => {
+          const { notes, syllables } = pairSyllables(line);
+          return line.lyrics && notes !== syllables;
+        })
+        .map((line) => line.lyrics.text);
+
+    expect(differing("Hurt.tab")).toEqual([
+      "you could have it all",
+      "you could have it all",
+    ]);
+    // The optional `(-4)` is an ornament, not a syllable.
+    expect(differing("Man of Constant Sorrow.tab")).not.toContain(
+      "(The place where he was born and raised)",
+    );
+  });
+
+  it("puts each note over the syllable it is played on", () => {
+    const text = tab("Man of Constant Sorrow.tab"),
+      notes = harmonicaNotes(text, { bpm: 60 });
+    parseHarmonicaTab(text).lines.forEach((line) => {
+      // Every syllable takes a beat, so a note under one starts that many
+      // beats into the line.
+      const offsets = [];
+      let syllable = 0;
+      pairSyllables(line).pairs.forEach((pair) => {
+        if (pair.note && pair.syllable !== null) {
+          const { beat } = notes.find(
+            (note) =>
+              note.line === pair.note.line && note.column === pair.note.column,
+          );
+          offsets.push(beat - syllable);
+        }
+        if (pair.syllable !== null) syllable++;
+      });
+      expect(new Set(offsets).size).toBeLessThanOrEqual(1);
+    });
+  });
+});
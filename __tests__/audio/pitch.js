@@ -0,0 +1,28 @@
+import { frequencyOf } from "../../src/audio/pluck";
+
+// The strongest period in a stretch of samples, by autocorrelation, with
+// the peak interpolated between lags.
+export function fundamental(samples, sampleRate) {
+  const correlation = (lag) => {
+    let sum = 0;
+    for (let i = 0; i + lag < samples.length; i++) {
+      sum += samples[i] * samples[i + lag];
+    }
+    return sum;
+  };
+  const lags = [];
+  for (let lag = Math.floor(sampleRate / 2000); lag < sampleRate / 40; lag++) {
+    lags.push([lag, correlation(lag)]);
+  }
+  // Past the first dip, the highest peak is one period: longer lags
+  // overlap fewer samples.
+  const dip = lags.findIndex(([, value]) => value < 0),
+    [best] = lags
+      .slice(dip)
+      .reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+  const [a, b, c] = [best - 1, best, best + 1].map(correlation);
+  return sampleRate / (best + (a - c) / (2 * (a - 2 * b + c)));
+}
+
+export const cents = (frequency, pitch) =>
+  1200 * Math.log2(frequency / frequencyOf(pitch));
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { reed } from "../../src/audio/reed";
+
+// Just enough of an audio context to see what a voice schedules.
+function fakeContext() {
+  const param = (value = 0) => ({
+    value,
+    events: [],
+    setValueAtTime(v, time) {
+      this.events.push(["set", v, time]);
+    },
+    linearRampToValueAtTime(v, time) {
+      this.events.push(["ramp", v, time]);
+    },
+    cancelScheduledValues(time) {
+      this.events = this.events.filter(([, , at]) => at < time);
+    },
+  });
+  const node = (extra = {}) => ({
+    connect: (target) => target,
+    ...extra,
+  });
+  const context = {
+    currentTime: 0,
+    destination: node(),
+    nodes: { oscillators: [], gains: [] },
+    createOscillator() {
+      const oscillator = node({
+        frequency: param(),
+        stops: [],
+        start() {},
+        stop(time) {
+          this.stops.push(time);
+        },
+      });
+      context.nodes.oscillators.push(oscillator);
+      return oscillator;
+    },
+    createGain() {
+      const gain = node({ gain: param() });
+      context.nodes.gains.push(gain);
+      return gain;
+    },
+    createBiquadFilter: () => node({ frequency: param() }),
+  };
+  return context;
+}
+
+describe("reed", () => {
+  it("fades out and stops every oscillator when cut short", () => {
+    const context = fakeContext(),
+      voice = reed(context, { pitch: 69, time: 0, duration: 2, gain: 0.2 }),
+      [envelope] = context.nodes.gains;
+
+    context.currentTime = 0.5;
+    envelope.gain.value = 0.2;
+    voice.stop();
+
+    expect(envelope.gain.events.slice(-2)).toEqual([
+      ["set", 0.2, 0.5],
+      ["ramp", 0, 0.56],
+    ]);
+    // The sawtooth and its vibrato both stop once the fade is over.
+    expect(context.nodes.oscillators).toHaveLength(2);
+    context.nodes.oscillators.forEach((oscillator) =>
+      expect(oscillator.stops.at(-1)).toBeCloseTo(0.56),
+    );
+  });
+});
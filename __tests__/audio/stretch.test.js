@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { stretch } from "../../src/audio/stretch";
+import { cents, fundamental } from "./pitch";
+
+const SAMPLE_RATE = 44100;
+
+// A4 for a second, as a sine.
+const tone = Float32Array.from({ length: SAMPLE_RATE }, (_value, i) =>
+  Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE),
+);
+
+describe("stretch", () => {
+  it.each([0.5, 0.75, 0.9])("keeps the pitch at %s speed", (rate) => {
+    const [slowed] = stretch([tone], rate, SAMPLE_RATE);
+    expect(slowed.length).toBe(Math.ceil(SAMPLE_RATE / rate));
+
+    // A tenth of a second from the middle, clear of the ends.
+    const middle = Math.floor(slowed.length / 2),
+      excerpt = slowed.slice(middle, middle + SAMPLE_RATE / 10);
+    expect(Math.abs(cents(fundamental(excerpt, SAMPLE_RATE), 69))).toBeLessThan(
+      5,
+    );
+  });
+
+  it("keeps the channels apart", () => {
+    const silence = new Float32Array(tone.length),
+      [left, right] = stretch([tone, silence], 0.75, SAMPLE_RATE);
+    expect(right.every((sample) => sample === 0)).toBe(true);
+    expect(left.some((sample) => Math.abs(sample) > 0.5)).toBe(true);
+  });
+
+  it("copies the audio at full speed", () => {
+    const [same] = stretch([tone], 1, SAMPLE_RATE);
+    expect(same).not.toBe(tone);
+    expect(same).toEqual(tone);
+  });
+});
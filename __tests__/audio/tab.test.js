@@ -0,0 +1,43 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { renderPluck } from "../../src/audio/pluck";
+import { tabNotes } from "../../src/audio/tab";
+import { cents, fundamental } from "./pitch";
+
+const SAMPLE_RATE = 44100;
+
+const moonlight = readFileSync(
+  new URL(
+    "../../Tabs/Moonlight Sonata_/Moonlight Sonata: Movement 1.tab",
+    import.meta.url,
+  ),
+  "utf8",
+);
+
+describe("tabNotes", () => {
+  const notes = tabNotes(moonlight, { bpm: 60 });
+
+  it("times the opening triplets a third of a beat apart", () => {
+    const opening = notes.filter(
+      (note) => note.system === 0 && note.measure === 0,
+    );
+    // The bass holds to the bar line under the triplets.
+    expect(opening[1]).toMatchObject({ time: 0, duration: 4, pitch: 45 });
+    const upper = opening.filter((note) => note !== opening[1]);
+    expect(upper.map((note) => note.pitch)).toEqual(
+      Array(4).fill([52, 57, 60]).flat(),
+    );
+    upper.forEach((note, i) => expect(note.time).toBeCloseTo(i / 3));
+  });
+
+  it("sounds each note at its pitch", () => {
+    [...new Set(notes.map((note) => note.pitch))].forEach((pitch) => {
+      const samples = renderPluck(pitch, SAMPLE_RATE / 4, SAMPLE_RATE).slice(
+        SAMPLE_RATE / 20,
+      );
+      expect(
+        Math.abs(cents(fundamental(samples, SAMPLE_RATE), pitch)),
+      ).toBeLessThan(5);
+    });
+  });
+});
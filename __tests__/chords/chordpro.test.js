@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import {
+  chordProPages,
+  formatChordPro,
+  importChordSheet,
+  parseChordPro,
+  transposeSong,
+} from "../../src/chords/chordpro";
+
+const song = [
+  "{title: Leaving}",
+  "{key: Am}",
+  "",
+  "[Am]Down the [G]road I [F]go",
+  "",
+  "{start_of_chorus: Chorus}",
+  "[C]Home is [G/B]far a[Am]way",
+  "{end_of_chorus}",
+  "",
+  "{chorus}",
+  "",
+].join("\n");
+
+describe("parseChordPro", () => {
+  const { meta, sections } = parseChordPro(song);
+
+  it("reads directives, chords over syllables and sections", () => {
+    expect(meta).toEqual({ title: "Leaving", key: "Am" });
+    expect(sections.map(({ type, label }) => [type, label])).toEqual([
+      [null, ""],
+      ["chorus", "Chorus"],
+      [null, ""],
+    ]);
+    expect(sections[0].lines[1]).toEqual({
+      type: "lyrics",
+      parts: [
+        { chord: "Am", text: "Down the " },
+        { chord: "G", text: "road I " },
+        { chord: "F", text: "go" },
+      ],
+    });
+    expect(sections[2].lines).toContainEqual({ type: "chorus" });
+  });
+
+  it("points at an unclosed chord", () => {
+    expect(() => parseChordPro("{title: X}\nDown [Am the road")).toThrow(
+      expect.objectContaining({
+        name: "ChordProSyntaxError",
+        line: 2,
+        column: 6,
+      }),
+    );
+  });
+
+  it("refuses a section ended that wasn't started", () => {
+    expect(() => parseChordPro("{end_of_chorus}")).toThrow(/without its start/);
+  });
+});
+
+describe("formatChordPro", () => {
+  it("writes out what it read", () => {
+    expect(formatChordPro(parseChordPro(song))).toBe(song);
+  });
+
+  it("doesn't grow on each export and import", () => {
+    let text = formatChordPro(
+      importChordSheet("Am\nDown", { title: "Leaving" }),
+    );
+    const first = text;
+    for (let i = 0; i < 3; i++) text = formatChordPro(parseChordPro(text));
+
+    expect(text).toBe(first);
+    expect(text).toBe("{title: Leaving}\n\n[Am]Down\n");
+  });
+
+  it("keeps brackets in words from reading back as chords", () => {
+    const text = formatChordPro({
+      meta: {},
+      sections: [
+        {
+          type: null,
+          label: "",
+          lines: [{ type: "lyrics", parts: [{ chord: "C", text: "[x2]" }] }],
+        },
+      ],
+    });
+
+    expect(text).toBe("[C](x2)\n");
+  });
+});
+
+describe("transposeSong", () => {
+  it("moves every chord and the key", () => {
+    const moved = transposeSong(parseChordPro(song), 5);
+
+    expect(moved.meta.key).toBe("Dm");
+    expect(formatChordPro(moved)).toContain("[F]Home is [C/E]far a[Dm]way");
+    expect(formatChordPro(moved)).toContain("[Dm]Down the [C]road I [A#]go");
+  });
+
+  it("leaves the song it was given alone", () => {
+    const original = parseChordPro(song);
+    transposeSong(original, 2);
+
+    expect(formatChordPro(original)).toBe(song);
+  });
+});
+
+describe("chordProPages", () => {
+  it("puts chords over their syllables, a page a section", () => {
+    const pages = chordProPages(parseChordPro(song));
+
+    expect(pages[0]).toEqual({
+      section: null,
+      chords: "",
+      text: "Leaving\nKey: Am",
+    });
+    expect(pages[1].text).toBe("Am       G      F\nDown the road I go");
+    expect(pages[2]).toMatchObject({ chords: "C, G/B, Am" });
+  });
+});
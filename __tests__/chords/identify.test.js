@@ -0,0 +1,119 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import {
+  checkChordName,
+  identifyChord,
+  nameShape,
+  nameTabChords,
+  sameChordName,
+  shapePitches,
+} from "../../src/chords/identify";
+import { parseShape } from "../../src/chords/shape";
+import { splitPages } from "../../src/tabs/pages";
+
+const read = (path) => readFileSync(new URL(path, import.meta.url), "utf8");
+
+// The chord sheet's shapes, by the names written over them.
+const openChords = Object.fromEntries(
+  [
+    ...read("../../Tabs/Open Chords/Open Chords.md").matchAll(
+      /^## (.+)\n+> (.+)$/gm,
+    ),
+  ].map(([, name, shape]) => [name, parseShape(shape)]),
+);
+
+const pitchesOf = (shape) => shapePitches(parseShape(shape));
+
+describe("nameShape", () => {
+  it.each([
+    ["X 0 2 2 1 0", "Am"],
+    ["X 3 2 0 1 0", "C"],
+    ["0 2 2 1 0 0", "E"],
+    ["X X 0 2 3 2", "D"],
+    ["X 0 2 0 1 0", "Am7"],
+    ["0 0 2 2 1 0", "Am/E"],
+  ])("names %s %s", (shape, name) => {
+    expect(nameShape(parseShape(shape))[0].name).toBe(name);
+  });
+
+  it("names the chord sheet's Gm", () => {
+    expect(nameShape(openChords.Gm)[0]).toMatchObject({
+      name: "Gm",
+      root: "G",
+      suffix: "m",
+      cost: 0,
+    });
+  });
+
+  it("says which notes a voicing leaves out", () => {
+    expect(nameShape(openChords["C#m"])[0]).toMatchObject({
+      name: "C#m7 sans5",
+      omitted: ["sans5"],
+    });
+  });
+});
+
+describe("identifyChord", () => {
+  it("needs two different notes", () => {
+    expect(identifyChord([60])).toEqual([]);
+    expect(identifyChord([48, 60, 72])).toEqual([]);
+  });
+
+  it("gives alternatives, cheapest first", () => {
+    const names = identifyChord(pitchesOf("X 0 2 0 1 0"));
+
+    expect(names.map(({ name }) => name).slice(0, 2)).toEqual(["Am7", "C6/A"]);
+    expect(names[0].cost).toBeLessThan(names[1].cost);
+  });
+});
+
+describe("checkChordName", () => {
+  it("finds a written name among the readings", () => {
+    expect(checkChordName("Am", pitchesOf("X 0 2 2 1 0")).rank).toBe(0);
+    expect(checkChordName("Amin", pitchesOf("X 0 2 2 1 0")).rank).toBe(0);
+    // Written without a bass, a name stands for any inversion.
+    expect(checkChordName("Am", pitchesOf("0 0 2 2 1 0")).rank).toBe(0);
+  });
+
+  it("catches a name the shape doesn't play", () => {
+    const { rank, names } = checkChordName(
+      "C#m",
+      shapePitches(openChords["C#m"]),
+    );
+
+    expect(rank).toBe(-1);
+    expect(names[0].name).toBe("C#m7 sans5");
+    expect(checkChordName("G", shapePitches(openChords.Gm)).rank).toBe(-1);
+  });
+});
+
+describe("sameChordName", () => {
+  it.each([
+    ["Gmaj", "G"],
+    ["A#m", "B♭m"],
+    ["E7 9♭", "E7(b9)"],
+    ["C△7", "Cmaj7"],
+  ])("takes %s and %s as one chord", (a, b) => {
+    expect(sameChordName(a, b)).toBe(true);
+  });
+
+  it("tells a slash chord from its root position", () => {
+    expect(sameChordName("Am/G", "Am")).toBe(false);
+  });
+});
+
+describe("nameTabChords", () => {
+  const [, first] = splitPages(
+    read("../../Tabs/Moonlight Sonata_/Moonlight Sonata: Movement 1.tab"),
+  );
+
+  it("checks the header's chords measure by measure", () => {
+    const [am, amOverG] = nameTabChords(first.text);
+
+    expect(am.key).toBe("0.0");
+    expect(am.chords).toMatchObject([{ beat: 0, written: "Am", rank: 0 }]);
+    // The G in the bass under an A minor arpeggio makes it Am7/G.
+    expect(amOverG.chords).toMatchObject([{ written: "Am/G", rank: -1 }]);
+    expect(amOverG.chords[0].names[0].name).toBe("Am7/G");
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import {
+  findBarres,
+  formatShape,
+  parseFingers,
+  parseShape,
+} from "../../src/chords/shape";
+
+describe("parseShape", () => {
+  it("reads frets from the lowest string, X for muted", () => {
+    expect(parseShape("X 4 2 4 0 0")).toEqual([null, 4, 2, 4, 0, 0]);
+    expect(parseShape("3 1 0 3 3 3")).toEqual([3, 1, 0, 3, 3, 3]);
+  });
+
+  it("reads frets run together", () => {
+    expect(parseShape("x02210")).toEqual([null, 0, 2, 2, 1, 0]);
+  });
+
+  it("turns down text that isn't a shape", () => {
+    expect(parseShape("10 12")).toBe(null);
+    expect(parseShape("Am G F")).toBe(null);
+  });
+
+  it("writes a shape back out", () => {
+    expect(formatShape(parseShape("x 12 14 14 13 12"))).toBe(
+      "X 12 14 14 13 12",
+    );
+  });
+});
+
+describe("parseFingers", () => {
+  it("reads fingers, the thumb and strings left alone", () => {
+    expect(parseFingers("T 3 2 - 1 0")).toEqual(["T", 3, 2, null, 1, null]);
+    expect(parseFingers("1 3 5")).toBe(null);
+  });
+});
+
+describe("findBarres", () => {
+  it("lays a barre where a shape has more notes than fingers", () => {
+    expect(findBarres(parseShape("1 3 3 2 1 1"))).toEqual([
+      { fret: 1, from: 0, to: 5, finger: null },
+    ]);
+    expect(findBarres(parseShape("X 2 4 4 3 2"))).toEqual([
+      { fret: 2, from: 1, to: 5, finger: null },
+    ]);
+  });
+
+  it("leaves a shape four fingers can hold alone", () => {
+    expect(findBarres(parseShape("X 0 2 2 2 0"))).toEqual([]);
+    expect(findBarres(parseShape("3 2 0 0 0 3"))).toEqual([]);
+  });
+
+  it("takes the barre from the fingering when it's written", () => {
+    expect(
+      findBarres(parseShape("X 0 2 2 2 0"), parseFingers("- - 1 1 1 -")),
+    ).toEqual([{ fret: 2, from: 2, to: 4, finger: 1 }]);
+  });
+});
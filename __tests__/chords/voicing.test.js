@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { FINGERS, findBarres } from "../../src/chords/shape";
+import { chordTones, findVoicings } from "../../src/chords/voicing";
+import { INSTRUMENTS } from "../../src/tabs/instruments";
+import { STANDARD_TUNING } from "../../src/tabs/tuning";
+
+// Pitch classes a shape sounds on a tuning given top line first.
+const classesOf = (frets, tuning = STANDARD_TUNING) => {
+  const open = [...tuning].reverse();
+  return new Set(
+    frets.flatMap((fret, string) =>
+      fret === null ? [] : [(open[string] + fret) % 12],
+    ),
+  );
+};
+
+// Fingers a shape takes: one a stopped note, one for all a barre covers.
+const fingersFor = (frets) =>
+  findBarres(frets).reduce(
+    (fingers, { fret, from, to }) =>
+      fingers -
+      (frets.slice(from, to + 1).filter((other) => other === fret).length - 1),
+    frets.filter((fret) => fret > 0).length,
+  );
+
+describe("chordTones", () => {
+  it("reads the notes a name calls for", () => {
+    expect(chordTones("Am/G")).toEqual({
+      root: 9,
+      bass: 7,
+      intervals: [0, 3, 7],
+      optional: [],
+    });
+    expect(chordTones("C7")).toMatchObject({
+      intervals: [0, 4, 7, 10],
+      optional: [7],
+    });
+    expect(chordTones("Dm♯5")).toMatchObject({ intervals: [0, 3, 8] });
+    expect(chordTones("H7")).toBe(null);
+  });
+});
+
+describe("findVoicings", () => {
+  it.each(["Am", "F", "Bm", "C7", "Dm♯5", "Am/G", "G", "E7(b9)", "Cmaj9"])(
+    "plays every tone of %s with four fingers at most",
+    (name) => {
+      const chord = chordTones(name),
+        voicings = findVoicings(name);
+
+      expect(voicings.length).toBeGreaterThan(0);
+      voicings.forEach(({ frets }) => {
+        const sounded = classesOf(frets),
+          lowest = Math.min(
+            ...frets.flatMap((fret, string) =>
+              fret === null
+                ? []
+                : [[...STANDARD_TUNING].reverse()[string] + fret],
+            ),
+          );
+        chord.intervals
+          .filter((interval) => !chord.optional.includes(interval))
+          .forEach((interval) =>
+            expect(sounded).toContain((chord.root + interval) % 12),
+          );
+        expect(lowest % 12).toBe(chord.bass);
+        expect(fingersFor(frets)).toBeLessThanOrEqual(FINGERS);
+      });
+    },
+  );
+
+  it("puts the open shape first", () => {
+    expect(findVoicings("Am")[0].frets).toEqual([null, 0, 2, 2, 1, 0]);
+    expect(findVoicings("G")[0].frets).toEqual([3, 2, 0, 0, 0, 3]);
+  });
+
+  it("barres when the shape needs more than four fingers", () => {
+    const barred = findVoicings("F").find(
+      ({ frets }) => frets.join(" ") === "1 3 3 2 1 1",
+    );
+
+    expect(barred).toBeDefined();
+    expect(findBarres(barred.frets)).toHaveLength(1);
+  });
+
+  it("finds voicings on a ukulele", () => {
+    const { strings } = INSTRUMENTS.ukulele,
+      [first] = findVoicings("C", { tuning: strings });
+
+    expect(first.frets).toEqual([0, 0, 0, 3]);
+    expect(classesOf(first.frets, strings)).toEqual(new Set([0, 4, 7]));
+  });
+
+  it("has nothing for a name it can't read", () => {
+    expect(findVoicings("not a chord")).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { convertHarmonicaTab } from "../../src/harmonica/convert";
+import {
+  formatNote,
+  parseHarmonicaTab,
+  parseNote,
+} from "../../src/harmonica/parse";
+
+const folder = new URL("../../Harmonica/Harmonica Tabs/", import.meta.url);
+const tabs = readdirSync(folder)
+  .filter((name) => /\.ta[bk]$/.test(name))
+  .map((name) => [name, readFileSync(new URL(name, folder), "utf8")]);
+
+// What a tab plays, leaving out how it's written down.
+const notesOf = (source) =>
+  parseHarmonicaTab(source).lines.map(({ line, notes }) => ({
+    line,
+    notes: notes.map(({ holes, action, bend, overblow, optional }) => ({
+      holes,
+      action,
+      bend,
+      overblow,
+      optional,
+    })),
+  }));
+
+describe("parseNote and formatNote", () => {
+  it.each([
+    ["-4", "4↓"],
+    ["4", "4↑"],
+    ["-3''", "3dd"],
+    ["6o", "6↑o"],
+    ["-345", "345↓"],
+    ["(-4)", "(4↓)"],
+    ["8'", "8d"],
+  ])("reads %s and %s as the same note", (signed, arrows) => {
+    const note = parseNote(signed, "signed");
+
+    expect(parseNote(arrows, "arrows")).toEqual(note);
+    expect(formatNote(note, "signed")).toBe(signed);
+    expect(formatNote(note, "arrows")).toBe(arrows);
+  });
+});
+
+describe("convertHarmonicaTab", () => {
+  it("gives a line back as it was after converting both ways", () => {
+    const arrows = convertHarmonicaTab("5 6 5 -4 4 5", "arrows");
+
+    expect(arrows).toBe("5↑ 6↑ 5↑ 4↓ 4↑ 5↑");
+    expect(convertHarmonicaTab(arrows, "signed")).toBe("5 6 5 -4 4 5");
+  });
+
+  it("keeps the spacing of notes lined up over words", () => {
+    const arrows = convertHarmonicaTab("-4    4   -5\nI     hurt me", "arrows");
+
+    expect(arrows).toBe("4↓    4↑   5↓\nI     hurt me");
+    expect(convertHarmonicaTab(arrows, "signed")).toBe(
+      "-4    4   -5\nI     hurt me",
+    );
+  });
+
+  describe.each(tabs)("%s", (name, source) => {
+    it.each(["signed", "arrows"])("keeps every note in %s", (notation) => {
+      const converted = convertHarmonicaTab(source, notation);
+
+      expect(parseHarmonicaTab(converted).notation).toBe(notation);
+      expect(notesOf(converted)).toEqual(notesOf(source));
+    });
+
+    it.each([
+      ["signed", "arrows"],
+      ["arrows", "signed"],
+    ])("comes back from %s to %s unchanged", (from, to) => {
+      const written = convertHarmonicaTab(source, from),
+        there = convertHarmonicaTab(written, to);
+
+      expect(convertHarmonicaTab(there, from)).toBe(written);
+      expect(convertHarmonicaTab(convertHarmonicaTab(there, to), from)).toBe(
+        written,
+      );
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { changeHarmonicaKey, planHarpChange } from "../../src/harmonica/key";
+import {
+  findNotes,
+  harpKeyFor,
+  harpLayout,
+  songKeyFor,
+} from "../../src/harmonica/layout";
+
+describe("harpLayout", () => {
+  const c = harpLayout("C");
+
+  it("bends the draw notes on the low holes", () => {
+    expect(c[0]).toMatchObject({ blow: 60, draw: 62 });
+    expect(c[0].bends).toEqual([{ action: "draw", bend: 1, pitch: 61 }]);
+    expect(c[2].bends.map(({ pitch }) => pitch)).toEqual([70, 69, 68]);
+  });
+
+  it("bends the blow notes on the high holes", () => {
+    expect(c[6].bends).toEqual([]);
+    expect(c[9]).toMatchObject({ blow: 96, draw: 93 });
+    expect(c[9].bends).toEqual([
+      { action: "blow", bend: 1, pitch: 95 },
+      { action: "blow", bend: 2, pitch: 94 },
+    ]);
+  });
+
+  it("overblows a half step above the higher reed", () => {
+    expect(c[3].over).toEqual({ action: "blow", pitch: 75 });
+    expect(c[6].over).toEqual({ action: "draw", pitch: 85 });
+  });
+
+  it.each([
+    ["G", -5],
+    ["A", -3],
+    ["Bb", -2],
+  ])("lays out a %s harp like a C moved %s", (key, shift) => {
+    harpLayout(key).forEach((hole, i) => {
+      expect(hole.blow).toBe(c[i].blow + shift);
+      expect(hole.draw).toBe(c[i].draw + shift);
+      expect(hole.bends.map(({ pitch }) => pitch)).toEqual(
+        c[i].bends.map(({ pitch }) => pitch + shift),
+      );
+      expect(hole.over.pitch).toBe(c[i].over.pitch + shift);
+    });
+  });
+
+  it("finds the easiest way to a pitch", () => {
+    // G4 is 3 blow and 2 draw on a C harp.
+    expect(
+      findNotes(67, "C").map(({ holes, action }) => [holes, action]),
+    ).toEqual([
+      [[2], "draw"],
+      [[3], "blow"],
+    ]);
+    expect(findNotes(75, "C")).toEqual([
+      { holes: [4], action: "blow", bend: 0, overblow: true },
+    ]);
+  });
+});
+
+describe("positions", () => {
+  it.each([
+    ["C", 1, "C"],
+    ["C", 2, "G"],
+    ["C", 3, "D"],
+    ["A", 2, "E"],
+  ])("plays a %s harp in position %s in %s", (harp, position, songKey) => {
+    expect(songKeyFor(harp, position)).toBe(songKey);
+    expect(harpKeyFor(songKey, position)).toBe(harp);
+  });
+});
+
+describe("planHarpChange", () => {
+  it("picks an F harp for a C harp song played in 2nd position", () => {
+    expect(planHarpChange({ harp: "C", position: 1 }, { position: 2 })).toEqual(
+      { from: "C", to: "F", semitones: 0, songKey: "C" },
+    );
+  });
+
+  it("moves the song with a harp picked on its own", () => {
+    expect(planHarpChange({ harp: "C", position: 1 }, { harp: "G" })).toEqual({
+      from: "C",
+      to: "G",
+      semitones: -5,
+      songKey: "G",
+    });
+  });
+
+  it("finds the harp for a song key in the written position", () => {
+    expect(
+      planHarpChange({ harp: "A", position: 2 }, { songKey: "G" }),
+    ).toEqual({ from: "A", to: "C", semitones: 3, songKey: "G" });
+  });
+});
+
+describe("changeHarmonicaKey", () => {
+  it("re-tabs a line for the same song on another harp", () => {
+    expect(changeHarmonicaKey("5 6 5 -4 4 5", { from: "C", to: "G" })).toEqual({
+      text: "-6 7 -6 6 -5 -6",
+      octave: 0,
+      unplayable: [],
+    });
+  });
+
+  it("keeps the tab when the song moves with the harp", () => {
+    expect(
+      changeHarmonicaKey("4 -4 5 -5 6 -6 -7 7", {
+        from: "C",
+        to: "F",
+        semitones: 5,
+      }).text,
+    ).toBe("4 -4 5 -5 6 -6 -7 7");
+  });
+
+  it("reaches for bends and overblows where it has to", () => {
+    expect(changeHarmonicaKey("-2 -3' 4 -4", { from: "C", to: "A" }).text).toBe(
+      "-3' -4' 4o -5",
+    );
+  });
+
+  it("names every pitch of a chord the new harp can't play", () => {
+    const { text, unplayable } = changeHarmonicaKey("456 4", {
+      from: "C",
+      to: "C",
+      semitones: 1,
+    });
+
+    expect(text).toBe("[C#5+F5+G#5] -4'");
+    expect(unplayable).toEqual([
+      { line: 1, column: 1, pitches: ["C#5", "F5", "G#5"] },
+    ]);
+  });
+
+  it("names a single note by its pitch", () => {
+    const { text, unplayable } = changeHarmonicaKey("1 10", {
+      from: "C",
+      to: "C",
+      semitones: -1,
+    });
+
+    expect(text).toBe("[B3] 10'");
+    expect(unplayable).toEqual([{ line: 1, column: 1, pitches: ["B3"] }]);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { arrangeTab } from "../../src/tabs/arrange";
+import { detectInstrument, findInstrument } from "../../src/tabs/instruments";
+
+const staff = (lines) =>
+  ["e", "B", "G", "D", "A", "E"]
+    .map((string, i) => `${string}|${lines[i] ?? "--------"}|`)
+    .join("\n");
+
+const ukulele = [
+  "A|--0-----|",
+  "E|--0-----|",
+  "C|--0-----|",
+  "G|--2-----|",
+].join("\n");
+
+describe("detectInstrument", () => {
+  it("knows ukulele tab by its strings", () => {
+    expect(detectInstrument(ukulele)).toMatchObject({
+      id: "ukulele",
+      tuning: [69, 64, 60, 67],
+      frets: 15,
+    });
+  });
+
+  it("tells bass from ukulele by the labels", () => {
+    expect(detectInstrument("G|--|\nD|--|\nA|--|\nE|--|").id).toBe("bass");
+  });
+
+  it("goes by an Instrument: line first", () => {
+    expect(
+      detectInstrument(`Instrument: Baritone Ukulele\n${ukulele}`).id,
+    ).toBe("baritone-ukulele");
+  });
+
+  it("reads anything else as guitar", () => {
+    expect(detectInstrument(staff([])).id).toBe("guitar");
+    expect(detectInstrument("no tab here").id).toBe("guitar");
+  });
+
+  it("finds an instrument by key or name", () => {
+    expect(findInstrument("Mandolin")).toBe("mandolin");
+    expect(findInstrument("Banjo (gDGBD)")).toBe("banjo");
+    expect(findInstrument("kazoo")).toBe(null);
+  });
+});
+
+describe("arrangeTab", () => {
+  it("arranges a guitar C chord for ukulele", () => {
+    const { text, octave, dropped } = arrangeTab(
+      staff(["-0------", "-1------", "-0------", "-2------", "-3------"]),
+      "ukulele",
+    );
+
+    expect(text).toBe(
+      ["A|--------|", "E|-0------|", "C|-0------|", "G|-0------|"].join("\n"),
+    );
+    // The low G, E and C are raised into the ukulele's range; the E and C
+    // land on notes already played.
+    expect(octave).toHaveLength(3);
+    expect(dropped).toEqual([]);
+  });
+
+  it("leaves out what the strings can't hold, keeping top and bass", () => {
+    // G, F#, E, D and C once raised into range; the A string can take none
+    // of them, so two of the middle notes have to go.
+    const { text, dropped } = arrangeTab(
+      staff(["-0------", "-3------", "-0------", "-4------", "-3------"]),
+      "ukulele",
+    );
+
+    expect(dropped).toEqual([
+      { line: 1, column: 4, string: 0, fret: 0 },
+      { line: 2, column: 4, string: 1, fret: 3 },
+    ]);
+    expect(text).toBe(
+      ["A|--------|", "E|-2------|", "C|-0------|", "G|-0------|"].join("\n"),
+    );
+  });
+
+  it("rewrites the Tuning: and Instrument: lines", () => {
+    const { text } = arrangeTab(
+      `Instrument: Guitar\nTuning: E A D G B E\n${staff([])}`,
+      "ukulele",
+    );
+
+    expect(text.split("\n").slice(0, 2)).toEqual([
+      "Instrument: Ukulele (GCEA)",
+      "Tuning: G C E A",
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { parseTab } from "../../src/tabs/parse";
+
+const moonlight = readFileSync(
+  new URL(
+    "../../Tabs/Moonlight Sonata_/Moonlight Sonata: Movement 1.tab",
+    import.meta.url,
+  ),
+  "utf8",
+);
+
+const staff = (lines) =>
+  ["e", "B", "G", "D", "A", "E"]
+    .map((string, i) => `${string}|${lines[i] ?? "--------"}|`)
+    .join("\n");
+
+describe("parseTab", () => {
+  const model = parseTab(moonlight);
+
+  it("reads the Moonlight tab's sections and systems", () => {
+    expect(model.title).toBe("Moonlight Sonata by Ludwig van Beethoven");
+    expect(model.sections).toHaveLength(38);
+    expect(model.systems).toHaveLength(35);
+    expect(model.sections[0]).toMatchObject({
+      number: 1,
+      label: "Am, Am/G",
+      systems: [0],
+    });
+  });
+
+  it("places the triplets on thirds of a beat", () => {
+    const [measure] = model.systems[0].measures;
+    expect(measure.beats).toBe(4);
+    const onsets = measure.events.map((event) => event.onset);
+    expect(onsets).toHaveLength(12);
+    onsets.forEach((onset, i) => expect(onset).toBeCloseTo(i / 3));
+    expect(measure.events[0].notes).toMatchObject([
+      { string: 3, fret: 2 },
+      { string: 4, fret: 0 },
+    ]);
+  });
+
+  it("points at the offending character", () => {
+    const source = `Title\n\n${staff(["--0-----", "---Q----"])}`;
+    expect(() => parseTab(source)).toThrow(
+      expect.objectContaining({
+        name: "TabSyntaxError",
+        reason: 'Unexpected "Q" in string line',
+        line: 4,
+        column: 6,
+      }),
+    );
+  });
+
+  it("rejects a staff with a string missing", () => {
+    const source = staff([]).split("\n").slice(0, 5).join("\n");
+    expect(() => parseTab(source, { strings: 6 })).toThrow(
+      /Expected 6 string lines, found 5 \(line 6, column 1\)/,
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { splitPages } from "../../src/tabs/pages";
+import { parseTab } from "../../src/tabs/parse";
+import { transposeChordName, transposeTab } from "../../src/tabs/transpose";
+import { STANDARD_TUNING } from "../../src/tabs/tuning";
+
+const [, first] = splitPages(
+  readFileSync(
+    new URL(
+      "../../Tabs/Moonlight Sonata_/Moonlight Sonata: Movement 1.tab",
+      import.meta.url,
+    ),
+    "utf8",
+  ),
+);
+
+const staff = (lines) =>
+  ["e", "B", "G", "D", "A", "E"]
+    .map((string, i) => `${string}|${lines[i] ?? "--------"}|`)
+    .join("\n");
+
+// Sounding pitches of a tab's notes, in order, with a capo on `capo`.
+const pitchesOf = (text, capo = 0) =>
+  parseTab(text).systems.flatMap((system) =>
+    system.measures.flatMap((measure) =>
+      measure.events.flatMap((event) =>
+        event.notes
+          .filter((note) => note.fret !== null)
+          .map((note) => STANDARD_TUNING[note.string] + note.fret + capo)
+          .sort((a, b) => a - b),
+      ),
+    ),
+  );
+
+describe("transposeChordName", () => {
+  it.each([
+    ["Am, Am/G", 5, "Dm, Dm/C"],
+    ["F sans5 => Dm ♯5", 2, "G sans5 => Em ♯5"],
+    ["Bb", 2, "C"],
+    ["E", 1, "F"],
+    ["A", 1, "A#"],
+  ])("moves %s by %s to %s", (label, semitones, moved) => {
+    expect(transposeChordName(label, semitones)).toBe(moved);
+  });
+
+  it("writes black keys as flats when asked", () => {
+    expect(transposeChordName("A", 1, { flats: true })).toBe("Bb");
+  });
+});
+
+describe("transposeTab", () => {
+  it("transposes the Moonlight header up a fourth", () => {
+    const { text } = transposeTab(first.text, { semitones: 5 });
+
+    expect(text.split("\n")[0]).toBe("(1.) ___ Dm, Dm/C");
+    expect(pitchesOf(text)).toEqual(
+      pitchesOf(first.text).map((pitch) => pitch + 5),
+    );
+  });
+
+  it("keeps the sounding pitch under a capo", () => {
+    const source = staff([, , "-2------", "-4------", "-3------"]),
+      { text, moved, dropped } = transposeTab(source, { capo: 2 });
+
+    expect(text).toBe(staff([, , "-0------", "-2------", "-1------"]));
+    expect(pitchesOf(text, 2)).toEqual(pitchesOf(source));
+    expect([moved, dropped]).toEqual([[], []]);
+  });
+
+  it("moves a note off its string when the capo leaves it no fret", () => {
+    const source = staff([, "-1------"]),
+      { text, moved } = transposeTab(source, { capo: 2 });
+
+    expect(moved).toEqual([{ line: 2, column: 4, string: 1, to: 2 }]);
+    expect(text).toBe(staff([, , "-3------"]));
+  });
+
+  it("makes room for a second digit", () => {
+    const { text } = transposeTab(staff(["-8-7----"]), { semitones: 3 }),
+      lines = text.split("\n");
+
+    expect(lines[0]).toBe("e|11-10----|");
+    expect(new Set(lines.map((line) => line.length)).size).toBe(1);
+  });
+
+  it("gives back notes with no fret to go to", () => {
+    // With one fret, no string reaches an F# in any octave.
+    const { text, dropped } = transposeTab(staff(["--1-----"]), {
+      semitones: 1,
+      frets: 1,
+    });
+
+    expect(dropped).toEqual([{ line: 1, column: 5, string: 0, fret: 1 }]);
+    expect(text).toBe(staff([]));
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { retuneTab, transposeTab } from "../../src/tabs/transpose";
+import {
+  STANDARD_TUNING,
+  TUNINGS,
+  detectTuning,
+  formatTuning,
+  parseTuning,
+} from "../../src/tabs/tuning";
+
+const staff = (lines) =>
+  ["e", "B", "G", "D", "A", "E"]
+    .map((string, i) => `${string}|${lines[i] ?? "--------"}|`)
+    .join("\n");
+
+const DROP_D = TUNINGS["drop-d"].strings;
+
+describe("parseTuning", () => {
+  it("reads a named tuning or notes from the lowest string up", () => {
+    expect(parseTuning("drop-d")).toBe(DROP_D);
+    expect(parseTuning("D A D G B E")).toEqual(DROP_D);
+    expect(parseTuning("DADGAD")).toEqual(TUNINGS.dadgad.strings);
+  });
+
+  it("takes each string's octave from standard unless written", () => {
+    expect(parseTuning("Eb Ab Db Gb Bb Eb")).toEqual(
+      STANDARD_TUNING.map((pitch) => pitch - 1),
+    );
+    expect(parseTuning("C2 G2 D3 G3 B3 D4")).toEqual([62, 59, 55, 50, 43, 36]);
+  });
+
+  it("turns down what isn't a tuning", () => {
+    expect(parseTuning("H A D")).toBe(null);
+    expect(parseTuning("")).toBe(null);
+    expect(parseTuning("drop d please")).toBe(null);
+  });
+
+  it("writes a tuning back out", () => {
+    expect(formatTuning(DROP_D)).toBe("D A D G B E");
+  });
+});
+
+describe("detectTuning", () => {
+  it("reads a Tuning: line, then the string labels", () => {
+    expect(detectTuning(`Tuning: DADGAD\n${staff([])}`)).toEqual(
+      TUNINGS.dadgad.strings,
+    );
+    expect(detectTuning(staff([]).replace(/^E\|/m, "D|"))).toEqual(DROP_D);
+  });
+
+  it("rejects a tuning with the wrong number of strings", () => {
+    expect(detectTuning(`Tuning: D G B E\n${staff([])}`)).toEqual(
+      STANDARD_TUNING,
+    );
+    expect(
+      detectTuning(`Tuning: D G B E\n${staff([]).replace(/^E\|/m, "D|")}`),
+    ).toEqual(DROP_D);
+  });
+});
+
+describe("retuning", () => {
+  it("re-frets the low string for drop D and relabels it", () => {
+    const { text, moved, dropped } = retuneTab(
+      staff([, , , "--2-----", "--3-----", "--3--0--"]),
+      STANDARD_TUNING,
+      DROP_D,
+    );
+    const lines = text.split("\n");
+
+    expect(lines[5]).toBe("D|--5--2--|");
+    expect(lines.slice(3, 5)).toEqual(["D|--2-----|", "A|--3-----|"]);
+    expect([moved, dropped]).toEqual([[], []]);
+  });
+
+  it("rewrites the Tuning: line", () => {
+    const { text } = transposeTab(`Tuning: E A D G B E\n${staff([])}`, {
+      target: DROP_D,
+    });
+
+    expect(text.split("\n")[0]).toBe("Tuning: D A D G B E");
+  });
+
+  it("plays drop D's low D an octave up in standard tuning", () => {
+    const { text, octave } = retuneTab(
+      staff([, , , , , "--0-----"]).replace(/^E\|/m, "D|"),
+      DROP_D,
+      STANDARD_TUNING,
+    );
+
+    expect(octave).toEqual([{ line: 6, column: 5, fret: 10 }]);
+    expect(text.split("\n")[5]).toBe("E|-10-----|");
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { analyzeAudio, monoOf } from "../../src/tempo/detect";
+
+const SAMPLE_RATE = 22050;
+
+// A click every beat from `start`, each a short burst of 2 kHz dying away,
+// as a mono AudioBuffer.
+function clickTrack(bpm, { seconds = 12, start = 0.5 } = {}) {
+  const length = seconds * SAMPLE_RATE,
+    samples = new Float32Array(length),
+    click = Math.round(SAMPLE_RATE * 0.02);
+  for (let at = start; at < seconds; at += 60 / bpm) {
+    const from = Math.round(at * SAMPLE_RATE);
+    for (let i = 0; i < click && from + i < length; i++) {
+      samples[from + i] =
+        Math.sin((2 * Math.PI * 2000 * i) / SAMPLE_RATE) *
+        Math.exp(-i / (click / 4));
+    }
+  }
+  return {
+    sampleRate: SAMPLE_RATE,
+    numberOfChannels: 1,
+    length,
+    duration: seconds,
+    getChannelData: () => samples,
+  };
+}
+
+describe("analyzeAudio", () => {
+  it.each([60, 90, 100, 140])("hears %s BPM in a click track", (bpm) => {
+    const result = analyzeAudio(clickTrack(bpm));
+
+    expect(Math.abs(result.bpm - bpm)).toBeLessThan(1);
+    expect(result.confidence).toBeGreaterThan(0);
+    expect(result.duration).toBe(12);
+  });
+
+  it("puts beats on the clicks", () => {
+    const { beats } = analyzeAudio(clickTrack(90)),
+      gaps = beats.slice(1).map((time, i) => time - beats[i]);
+
+    expect(beats.length).toBeGreaterThanOrEqual(16);
+    // Clicks fall every 2/3 s from half a second in; frames are ~23 ms.
+    beats.forEach((time) => {
+      const fromClick = (time - 0.5) % (2 / 3);
+      expect(Math.min(fromClick, 2 / 3 - fromClick)).toBeLessThan(0.05);
+    });
+    gaps.forEach((gap) => expect(gap).toBeCloseTo(2 / 3, 1));
+  });
+
+  it("finds no pulse in silence", () => {
+    const silence = clickTrack(90);
+    silence.getChannelData = () => new Float32Array(silence.length);
+
+    expect(analyzeAudio(silence)).toBe(null);
+  });
+});
+
+describe("monoOf", () => {
+  it("averages the channels", () => {
+    const left = Float32Array.of(1, 0.5),
+      right = Float32Array.of(0, -0.5),
+      mono = monoOf({
+        numberOfChannels: 2,
+        length: 2,
+        getChannelData: (c) => [left, right][c],
+      });
+
+    expect([...mono]).toEqual([0.5, 0]);
+  });
+});
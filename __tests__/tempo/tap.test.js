@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createTapTempo,
+  estimateTempo,
+  tempoRelation,
+} from "../../src/tempo/tap";
+
+describe("estimateTempo", () => {
+  it("reads one gap of a second as 60 BPM", () => {
+    expect(estimateTempo([1000])).toMatchObject({
+      bpm: 60,
+      kept: 1,
+      rejected: 0,
+    });
+  });
+
+  it("settles on the median beat when taps wander", () => {
+    const { bpm, confidence } = estimateTempo([
+      490, 510, 505, 495, 500, 520, 480, 500,
+    ]);
+
+    expect(bpm).toBeCloseTo(120, 0);
+    expect(confidence).toBeGreaterThan(0.5);
+  });
+
+  it("throws out a stray tap", () => {
+    const estimate = estimateTempo([500, 500, 250, 500, 500, 1000, 500]);
+
+    expect(estimate).toMatchObject({ bpm: 120, kept: 5, rejected: 2 });
+    expect(estimate.confidence).toBeLessThan(
+      estimateTempo([500, 500, 500, 500, 500]).confidence,
+    );
+  });
+
+  it("only looks at the most recent gaps", () => {
+    const gaps = [1000, 1000, 1000, ...Array(8).fill(500)];
+
+    expect(estimateTempo(gaps).bpm).toBe(120);
+    expect(estimateTempo(gaps, { window: 11 }).bpm).toBe(120);
+    expect(estimateTempo(gaps, { window: 11 }).rejected).toBe(3);
+  });
+
+  it("has nothing to go on without a gap", () => {
+    expect(estimateTempo([])).toBe(null);
+    expect(estimateTempo([0])).toBe(null);
+  });
+});
+
+describe("tempoRelation", () => {
+  it.each([
+    [120, 60, "double"],
+    [118, 60, "double"],
+    [60, 120, "half"],
+    [100, 60, null],
+    [60, null, null],
+  ])("takes %s against %s as %s", (bpm, reference, relation) => {
+    expect(tempoRelation(bpm, reference)).toBe(relation);
+  });
+});
+
+describe("createTapTempo", () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  // Taps every `gap` milliseconds on a clock the test moves.
+  function tapper(options) {
+    let time = 0;
+    const tempo = createTapTempo({ now: () => time, ...options });
+    return {
+      tempo,
+      tap: (gap = 0) => {
+        time += gap;
+        return tempo.tap();
+      },
+    };
+  }
+
+  it("reads two taps a second apart as 60 BPM", () => {
+    const { tap } = tapper();
+
+    expect(tap()).toBe(null);
+    expect(tap(1000)).toMatchObject({ bpm: 60, taps: 2 });
+  });
+
+  it("keeps the beat through a stray tap", () => {
+    const { tap } = tapper();
+
+    tap();
+    [500, 500, 500, 250, 250, 500].forEach((gap) => tap(gap));
+    expect(tap(500).bpm).toBe(120);
+  });
+
+  it("says when taps are half the tempo set", () => {
+    const { tap } = tapper({ getReference: () => 120 });
+
+    tap();
+    expect(tap(1000).relation).toBe("half");
+  });
+
+  it("starts a new session after a pause, keeping the last", () => {
+    const sessions = [],
+      { tap, tempo } = tapper({ onSession: (s) => sessions.push(s) });
+
+    tap();
+    tap(1000);
+    tap(1000);
+    expect(tap(5000)).toBe(null);
+    expect(sessions).toEqual([
+      expect.objectContaining({ bpm: 60, taps: 3, intervals: [1000, 1000] }),
+    ]);
+    expect(tempo.sessions()).toEqual(sessions);
+  });
+
+  it("keeps a session once taps stop", () => {
+    const { tap, tempo } = tapper();
+
+    tap();
+    tap(750);
+    vi.advanceTimersByTime(3000);
+    expect(tempo.isTapping()).toBe(false);
+    expect(tempo.sessions()).toMatchObject([{ bpm: 80, taps: 2 }]);
+  });
+
+  it("compares against the tempo set now, not at the first tap", () => {
+    let bpm = 120;
+    const { tap } = tapper({ getReference: () => bpm });
+
+    tap();
+    expect(tap(500).relation).toBe(null);
+    // Set elsewhere mid-session, e.g. on the slider.
+    bpm = 60;
+    expect(tap(500).relation).toBe("double");
+  });
+
+  it("doesn't compare against the tempo it tapped out itself", () => {
+    let bpm = 60;
+    const { tap } = tapper({ getReference: () => bpm });
+
+    tap();
+    const first = tap(500);
+    expect(first.relation).toBe("double");
+    // As the page does, setting each estimate as the tempo.
+    bpm = first.bpm;
+    expect(tap(500).relation).toBe("double");
+  });
+
+  it("keeps the newest 500 sessions", () => {
+    const sessions = Array.from({ length: 499 }, (_s, i) => ({ bpm: i })),
+      { tempo } = tapper({ sessions });
+
+    tempo.record({ bpm: 499 });
+    tempo.record({ bpm: 500 });
+
+    const kept = tempo.sessions();
+    expect(kept).toHaveLength(500);
+    expect(kept[0].bpm).toBe(1);
+    expect(kept[499].bpm).toBe(500);
+  });
+});
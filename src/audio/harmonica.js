@@ -0,0 +1,271 @@
+import { notePitches } from "../harmonica/layout";
+import { parseHarmonicaTab } from "../harmonica/parse";
+import { reed } from "./reed";
+
+// Lead time before the first note, so scheduling never lands in the past.
+const LEAD = 0.1;
+
+// Consonants written as a pair for one sound, kept together when a word
+// is split.
+const DIGRAPH = /^(ch|ck|gh|ng|ph|sh|th|wh)/;
+
+// The vowels of a word. A `y` is one after a consonant (`my`, `every`),
+// part of the vowel before it at the end of one (`day`), and otherwise a
+// consonant (`you`, `player`).
+const VOWELS = /[aeiou]+y?(?![aeiou])|[aeiou]+|(?<=[^aeiou])y/g;
+
+// An `e` after a `v` that goes unsung before `r` or `n` and a vowel, as in
+// `every`, `several` or `evening`.
+const ELIDED = /^ve[rn][aeiouy]/;
+
+// Whether the last `e` of a word is silent, as in `fare`, `eye`, `miles`
+// or `raised`, but not `table`, `horses` or `wanted`.
+function silentEnding(stem) {
+  return (
+    /[^aeiou]e[sd]?$/.test(stem) &&
+    !/[^aeiouy]le[sd]?$/.test(stem) &&
+    !/([sxzcg]|ch|sh)es$/.test(stem) &&
+    !/[td]ed$/.test(stem)
+  );
+}
+
+// The runs of vowels that each make a syllable, with where they start.
+function vowelGroups(stem) {
+  const groups = [...stem.matchAll(VOWELS)]
+    .map((match) => ({ text: match[0], index: match.index }))
+    .filter(({ index }) => !(index && ELIDED.test(stem.slice(index - 1))));
+
+  // A word opening on `ia` or `io` says both, as in `li-ar` or `vi-o-lin`.
+  const [first] = groups;
+  if (first && /^i[ao]/.test(first.text)) {
+    groups.splice(
+      0,
+      1,
+      { text: "i", index: first.index },
+      { text: first.text.slice(1), index: first.index + 1 },
+    );
+  }
+  if (groups.length > 1 && silentEnding(stem)) groups.pop();
+  return groups;
+}
+
+/**
+ * Splits a line of lyrics into syllables with their 1-based columns.
+ *
+ * A syllable is a run of vowels with the consonants around it; a silent `e`
+ * closing a word (`fare`, `miles`, `raised`) doesn't count as one of its
+ * own, nor does the one `every` leaves unsung. Between two syllables a
+ * lone consonant goes with the second and a cluster is split after its
+ * first consonant, so `remember` reads as `re-mem-ber`; a closing `-le`
+ * takes the consonant before it, as in `ta-ble`.
+ *
+ * @param {string} text - The lyric line as written.
+ * @param {number} [column] - Column of the line's first character.
+ *
+ * @returns {{ text: string, column: number }[]}
+ */
+export function syllablesOf(text, column = 1) {
+  return [...text.matchAll(/[A-Za-z][A-Za-z']*/g)].flatMap((word) => {
+    // `there's` ends on its silent `e` as much as `there` does.
+    const stem = word[0].toLowerCase().replace(/'[a-z]*$/, ""),
+      groups = vowelGroups(stem);
+    if (groups.length < 2) {
+      return [{ text: word[0], column: column + word.index }];
+    }
+
+    const starts = [
+      0,
+      ...groups.slice(1).map((group, i) => {
+        const from = groups[i].index + groups[i].text.length,
+          cluster = stem.slice(from, group.index),
+          first = cluster.match(DIGRAPH)?.[0].length || 1;
+        if (
+          cluster.length > 1 &&
+          /^le[sd]?$/.test(stem.slice(group.index - 1))
+        ) {
+          return group.index - 2;
+        }
+        return cluster.length <= first ? from : from + first;
+      }),
+    ];
+    return starts.map((start, i) => ({
+      text: word[0].slice(start, starts[i + 1] ?? word[0].length),
+      column: column + word.index + start,
+    }));
+  });
+}
+
+/**
+ * The notes of a line that aren't optional, the ones that each take a
+ * syllable.
+ *
+ * @param {object} line - A note line from `parseHarmonicaTab`.
+ *
+ * @returns {object[]}
+ */
+export function sungNotes(line) {
+  return line.notes.filter((note) => !note.optional);
+}
+
+/**
+ * Matches the notes of a line to the syllables of the lyrics below it.
+ *
+ * A note sits on the syllable whose column is nearest its own, never on one
+ * before the last note's. When a line has exactly one note per syllable,
+ * optional notes aside, the columns don't matter, since plenty of tabs
+ * don't line up; an optional note then shares the syllable before it.
+ *
+ * @param {object} line - A note line from `parseHarmonicaTab`.
+ *
+ * @returns {{ syllables: { text: string, column: number }[], slots: number[] }}
+ *   `slots` holds the index of each note's syllable; both are empty when
+ *   the line has no lyrics.
+ */
+export function syllableSlots(line) {
+  const syllables = line.lyrics
+    ? syllablesOf(line.lyrics.text, line.lyrics.column)
+    : [];
+  if (!syllables.length) return { syllables, slots: [] };
+
+  // An optional note is an ornament on the syllable of the note before.
+  if (sungNotes(line).length === syllables.length) {
+    let slot = -1;
+    const slots = line.notes.map((note) =>
+      note.optional ? Math.max(slot, 0) : ++slot,
+    );
+    return { syllables, slots };
+  }
+
+  let previous = 0;
+  const slots = line.notes.map((note) => {
+    const nearest = syllables.reduce(
+      (best, syllable, index) =>
+        Math.abs(syllable.column - note.column) <
+        Math.abs(syllables[best].column - note.column)
+          ? index
+          : best,
+      0,
+    );
+    previous = Math.max(previous, nearest);
+    return previous;
+  });
+  return { syllables, slots };
+}
+
+/**
+ * Beats from the top of a note line to each of its notes, and the line's
+ * length in beats.
+ *
+ * Without lyrics every note takes a beat. With them every syllable takes a
+ * beat: notes sit on syllables as `syllableSlots` pairs them, notes sharing
+ * a syllable split its beat, and a note holds through syllables that have
+ * no note of their own.
+ */
+function lineRhythm(line, rhythm) {
+  const { syllables, slots } =
+    rhythm === "lyrics" ? syllableSlots(line) : { syllables: [], slots: [] };
+  if (!syllables.length) {
+    return {
+      onsets: line.notes.map((_note, i) => i),
+      beats: line.notes.length,
+    };
+  }
+
+  const onsets = slots.map((slot, i) => {
+    const sharing = slots.filter((other) => other === slot),
+      place = slots.slice(0, i).filter((other) => other === slot).length;
+    return slot + place / sharing.length;
+  });
+
+  return {
+    onsets,
+    beats: Math.max(syllables.length, slots[slots.length - 1] + 1),
+  };
+}
+
+/**
+ * Lists the notes a harmonica tab sounds on a harp, in playing order.
+ *
+ * Each line of notes starts where the last one ended. A note rings until
+ * the next one; a chord such as `345↓` sounds every hole at once. Notes the
+ * harp can't make (a bend too deep for its hole) are left out.
+ *
+ * @param {string} text - Tab in signed or arrow notation.
+ * @param {{ key?: string, bpm?: number, rhythm?: "lyrics"|"grid" }} [options]
+ *   `key` defaults to the one the tab names, then C. `rhythm` is `lyrics`
+ *   to time notes by the syllables below them, `grid` for a beat each.
+ *
+ * @returns {{ time: number, duration: number, beat: number, pitches: number[], holes: number[], action: string, line: number, column: number }[]}
+ *   `time` and `duration` in seconds; `beat` counted from the top.
+ */
+export function harmonicaNotes(text, options = {}) {
+  const model = parseHarmonicaTab(text),
+    { key = model.key || "C", bpm = 100, rhythm = "lyrics" } = options,
+    seconds = 60 / (Number(bpm) || 100),
+    notes = [];
+  let start = 0;
+
+  model.lines.forEach((line) => {
+    const { onsets, beats } = lineRhythm(line, rhythm);
+    line.notes.forEach((note, i) => {
+      const pitches = notePitches(note, key);
+      if (pitches.some((pitch) => pitch === null)) return;
+
+      const beat = start + onsets[i],
+        next = i < onsets.length - 1 ? start + onsets[i + 1] : start + beats;
+      notes.push({
+        time: beat * seconds,
+        duration: (next - beat) * seconds,
+        beat,
+        pitches,
+        holes: note.holes,
+        action: note.action,
+        line: note.line,
+        column: note.column,
+      });
+    });
+    start += beats;
+  });
+
+  return notes;
+}
+
+/**
+ * Schedules a harmonica tab on an audio context.
+ *
+ * @param {BaseAudioContext} context - A live or offline context.
+ * @param {string} text - The tab text.
+ * @param {{ key?: string, bpm?: number, rhythm?: "lyrics"|"grid", from?: number, to?: number }} [options]
+ *   `from` is the beat to start at and `to` the beat to stop before; notes
+ *   outside them are skipped.
+ *
+ * @returns {{ notes: object[], start: number, duration: number, stop: () => void }}
+ *   `notes` as from `harmonicaNotes`, `start` the context time of beat 0 and
+ *   `duration` the seconds from `start` until the last note ends.
+ */
+export function playHarmonica(context, text, options = {}) {
+  const { from = 0, to = Infinity } = options,
+    notes = harmonicaNotes(text, options).filter(
+      (note) => note.beat >= from && note.beat < to,
+    ),
+    // Beat `from` falls LEAD from now, even if it opens on a rest.
+    offset = (from * 60) / (Number(options.bpm) || 100),
+    start = context.currentTime + LEAD - offset,
+    voices = notes.flatMap((note) =>
+      note.pitches.map((pitch) =>
+        reed(context, {
+          pitch,
+          time: start + note.time,
+          duration: note.duration,
+          gain: 0.2 / Math.sqrt(note.pitches.length),
+        }),
+      ),
+    );
+
+  return {
+    notes,
+    start,
+    duration: Math.max(0, ...notes.map((note) => note.time + note.duration)),
+    stop: () => voices.forEach((voice) => voice.stop()),
+  };
+}
@@ -0,0 +1,60 @@
+import { createMetronome } from "./metronome";
+
+/**
+ * A metronome worked by the `.metronome-toggle` buttons, which stay pressed
+ * while it runs, clicking the `.metronome-subdivision` chosen. The page in
+ * view flashes on every beat.
+ *
+ * @param {object} options
+ * @param {() => BaseAudioContext} options.getContext - The context to click on.
+ * @param {() => number} options.getBpm - Beats per minute.
+ * @param {() => { beats: number, unit: number }} options.getTimeSignature
+ * @param {() => HTMLElement} options.getPage - The page in view.
+ * @param {(page: HTMLElement, beat: number) => void} [options.onBeat] - A
+ *   beat sounded, counted from 0 since the metronome started.
+ * @param {(running: boolean) => void} [options.onChange] - Started or stopped.
+ *
+ * @returns {object} The metronome, as `createMetronome` makes it.
+ */
+export function createMetronomeControls({
+  getContext,
+  getBpm,
+  getTimeSignature,
+  getPage,
+  onBeat = () => {},
+  onChange = () => {},
+}) {
+  const buttons = document.querySelectorAll(".metronome-toggle"),
+    subdivisions = document.querySelectorAll(".metronome-subdivision");
+  let count = 0;
+
+  const metronome = createMetronome({
+    getContext,
+    getBpm,
+    getTimeSignature,
+    getSubdivision: () => subdivisions[0]?.value || "quarter",
+    onBeat: (beat, level) => {
+      const page = getPage();
+      if (!page) return;
+      page.dataset.beatFlash = level;
+      setTimeout(() => delete page.dataset.beatFlash, 120);
+      onBeat(page, count++);
+    },
+    onChange: (running) => {
+      count = 0;
+      buttons.forEach((button) =>
+        button.setAttribute("aria-pressed", String(running)),
+      );
+      onChange(running);
+    },
+  });
+
+  buttons.forEach((button) =>
+    button.addEventListener("click", () => metronome.toggle()),
+  );
+  subdivisions.forEach((select) =>
+    select.addEventListener("change", () => metronome.retime()),
+  );
+
+  return metronome;
+}
@@ -0,0 +1,177 @@
+// Clicks are queued this far ahead on the audio clock, and the queue is
+// topped up every `INTERVAL` milliseconds. The timer only decides when to
+// queue; when a click sounds is up to the audio clock.
+const LOOK_AHEAD = 0.1;
+const INTERVAL = 25;
+
+/**
+ * Clicks per beat for each subdivision.
+ */
+export const SUBDIVISIONS = {
+  quarter: 1,
+  eighth: 2,
+  triplet: 3,
+  sixteenth: 4,
+};
+
+const CLICKS = {
+  accent: { frequency: 1760, gain: 0.6 },
+  beat: { frequency: 1320, gain: 0.4 },
+  sub: { frequency: 880, gain: 0.15 },
+};
+
+/**
+ * How loud a beat of the bar clicks: the downbeat is accented, and so is
+ * the start of each group of three in compound time (6/8, 9/8, 12/8).
+ *
+ * @param {number} beat - Beat of the bar, from 0.
+ * @param {{ beats: number, unit: number }} timeSignature
+ *
+ * @returns {"accent"|"beat"}
+ */
+export function beatLevel(beat, { beats, unit }) {
+  if (beat === 0) return "accent";
+  const compound = unit === 8 && beats > 3 && beats % 3 === 0;
+  return compound && beat % 3 === 0 ? "accent" : "beat";
+}
+
+/**
+ * Schedules one click: a short sine blip that dies away in 30 ms.
+ *
+ * @param {BaseAudioContext} context
+ * @param {number} time - When it sounds, on the context's clock.
+ * @param {"accent"|"beat"|"sub"} level
+ *
+ * @returns {OscillatorNode}
+ */
+export function click(context, time, level = "beat") {
+  const { frequency, gain } = CLICKS[level],
+    oscillator = context.createOscillator(),
+    envelope = context.createGain();
+
+  oscillator.frequency.setValueAtTime(frequency, time);
+  envelope.gain.setValueAtTime(gain, time);
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+
+  oscillator.connect(envelope).connect(context.destination);
+  oscillator.start(time);
+  oscillator.stop(time + 0.04);
+  return oscillator;
+}
+
+/**
+ * A metronome on the Web Audio clock.
+ *
+ * Tempo and time signature are read as each beat is queued, and `retime`
+ * drops anything queued but not yet sounding, so a change takes effect on
+ * the next beat. Subdivisions click between beats, quieter.
+ *
+ * @param {object} options
+ * @param {() => BaseAudioContext} options.getContext - The context to click on.
+ * @param {() => number} options.getBpm - Beats per minute.
+ * @param {() => { beats: number, unit: number }} options.getTimeSignature
+ * @param {() => string} [options.getSubdivision] - A key of `SUBDIVISIONS`.
+ * @param {(beat: number, level: "accent"|"beat") => void} [options.onBeat]
+ *   Called as each beat sounds, for a visual flash.
+ * @param {(running: boolean) => void} [options.onChange] - Started or stopped.
+ */
+export function createMetronome({
+  getContext,
+  getBpm,
+  getTimeSignature,
+  getSubdivision = () => "quarter",
+  onBeat = () => {},
+  onChange = () => {},
+}) {
+  let context = null,
+    timer = null,
+    startTime = 0,
+    queued = [],
+    // The last beat queued, and the last one that has sounded.
+    last = null,
+    heard = null;
+
+  const beatSeconds = () => 60 / (Number(getBpm()) || 100);
+
+  // Each beat is timed from the one before at the tempo of the moment.
+  const nextTime = () => (last ? last.time + beatSeconds() : startTime);
+
+  function queueBeat() {
+    const timeSignature = getTimeSignature(),
+      beat = last ? (last.beat + 1) % timeSignature.beats : 0,
+      level = beatLevel(beat, timeSignature),
+      seconds = beatSeconds(),
+      clicks = SUBDIVISIONS[getSubdivision()] || 1,
+      time = Math.max(nextTime(), context.currentTime);
+
+    const sources = [click(context, time, level)];
+    for (let i = 1; i < clicks; i++) {
+      sources.push(click(context, time + (seconds * i) / clicks, "sub"));
+    }
+    const flash = setTimeout(
+      () => onBeat(beat, level),
+      Math.max(0, (time - context.currentTime) * 1000),
+    );
+
+    last = { beat, time, sources, flash };
+    queued.push(last);
+  }
+
+  function forgetSounded() {
+    const now = context.currentTime;
+    queued.filter(({ time }) => time <= now).forEach((beat) => (heard = beat));
+    queued = queued.filter(({ time }) => time > now);
+  }
+
+  function schedule() {
+    forgetSounded();
+    while (nextTime() < context.currentTime + LOOK_AHEAD) queueBeat();
+  }
+
+  function cancelQueued() {
+    queued.forEach(({ sources, flash }) => {
+      sources.forEach((source) => source.stop());
+      clearTimeout(flash);
+    });
+    queued = [];
+  }
+
+  /**
+   * Picks up a new tempo, time signature or subdivision from the next beat
+   * on, instead of after the beats already queued.
+   */
+  function retime() {
+    if (!timer) return;
+    forgetSounded();
+    cancelQueued();
+    last = heard;
+    schedule();
+  }
+
+  function start() {
+    stop();
+    context = getContext();
+    startTime = context.currentTime + 0.05;
+    last = null;
+    heard = null;
+    timer = setInterval(schedule, INTERVAL);
+    schedule();
+    onChange(true);
+  }
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    cancelQueued();
+    onChange(false);
+  }
+
+  return {
+    start,
+    stop,
+    retime,
+    toggle: () => (timer ? stop() : start()),
+    isRunning: () => timer !== null,
+  };
+}
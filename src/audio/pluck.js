@@ -0,0 +1,114 @@
+// Seconds a note takes to fade out once it is stopped, to avoid a click.
+const RELEASE = 0.05;
+
+// Rendered strings, per audio context, keyed by pitch and length.
+const buffers = new WeakMap();
+
+/**
+ * Frequency of a MIDI note in Hz, with A4 (69) at 440.
+ */
+export function frequencyOf(pitch) {
+  return 440 * 2 ** ((pitch - 69) / 12);
+}
+
+/**
+ * Renders a plucked string with the Karplus-Strong algorithm: a burst of
+ * noise fed round a delay line one period long, averaged on each pass so
+ * the high partials die away first.
+ *
+ * The averaging delays the loop by half a sample and an all-pass filter
+ * makes up the fraction, so high frets stay in tune.
+ *
+ * @param {number} pitch - MIDI note number.
+ * @param {number} length - Samples to render.
+ * @param {number} sampleRate
+ * @param {{ ring?: number, seed?: number }} [options] - `ring` is roughly
+ *   the seconds a note takes to die away; `seed` fixes the noise, so renders
+ *   repeat.
+ *
+ * @returns {Float32Array}
+ */
+export function renderPluck(pitch, length, sampleRate, options = {}) {
+  const { ring = 4, seed = pitch } = options,
+    frequency = frequencyOf(pitch),
+    // Loss per pass round the loop that fades to -60 dB over `ring` seconds.
+    decay = 0.001 ** (1 / (ring * frequency)),
+    delay = sampleRate / frequency - 0.5,
+    period = Math.max(2, Math.floor(delay - 0.1)),
+    fraction = delay - period,
+    coefficient = (1 - fraction) / (1 + fraction),
+    samples = new Float32Array(length);
+
+  // A small LCG; Math.random would make every render different.
+  let state = seed >>> 0 || 1,
+    smoothed = 0;
+  const noise = () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 2 ** 31 - 1;
+  };
+
+  for (let i = 0; i < Math.min(period, length); i++) {
+    // Softening the burst takes the edge off the attack.
+    smoothed = 0.5 * smoothed + 0.5 * noise();
+    samples[i] = 0.5 * smoothed;
+  }
+
+  let averaged = 0,
+    passed = 0;
+  for (let i = period; i < length; i++) {
+    const next =
+      decay * 0.5 * (samples[i - period] + (samples[i - period - 1] || 0));
+    passed = coefficient * next + averaged - coefficient * passed;
+    averaged = next;
+    samples[i] = passed;
+  }
+
+  return samples;
+}
+
+function bufferFor(context, pitch, seconds) {
+  if (!buffers.has(context)) buffers.set(context, new Map());
+  const cache = buffers.get(context),
+    length = Math.ceil((seconds + RELEASE) * context.sampleRate),
+    key = `${pitch}:${length}`;
+
+  if (!cache.has(key)) {
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    buffer.copyToChannel(renderPluck(pitch, length, context.sampleRate), 0);
+    cache.set(key, buffer);
+  }
+  return cache.get(key);
+}
+
+/**
+ * Schedules one plucked note on an audio context.
+ *
+ * Works on an `OfflineAudioContext` as well as a live one, so a passage can
+ * be rendered and checked without a speaker.
+ *
+ * @param {BaseAudioContext} context
+ * @param {{ pitch: number, time: number, duration: number, gain?: number }} note
+ *   `time` and `duration` are in seconds on the context's clock.
+ * @param {AudioNode} [destination]
+ *
+ * @returns {AudioBufferSourceNode} Stop it to cut the note short.
+ */
+export function pluck(
+  context,
+  { pitch, time, duration, gain = 0.3 },
+  destination = context.destination,
+) {
+  const source = context.createBufferSource(),
+    envelope = context.createGain(),
+    end = time + duration;
+
+  source.buffer = bufferFor(context, pitch, duration);
+  envelope.gain.setValueAtTime(gain, time);
+  envelope.gain.setValueAtTime(gain, end);
+  envelope.gain.linearRampToValueAtTime(0, end + RELEASE);
+
+  source.connect(envelope).connect(destination);
+  source.start(time);
+  source.stop(end + RELEASE);
+  return source;
+}
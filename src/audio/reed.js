@@ -0,0 +1,66 @@
+import { frequencyOf } from "./pluck";
+
+// Seconds for a reed to speak and to fall silent.
+const ATTACK = 0.03;
+const RELEASE = 0.06;
+
+/**
+ * Schedules one reed note, the voice used for harmonica.
+ *
+ * A sawtooth through a low-pass filter gives the buzz of a free reed; the
+ * filter opens as the note speaks, and a slow vibrato follows once it has.
+ *
+ * @param {BaseAudioContext} context - A live or offline context.
+ * @param {{ pitch: number, time: number, duration: number, gain?: number }} note
+ *   `time` and `duration` are in seconds on the context's clock.
+ * @param {AudioNode} [destination]
+ *
+ * @returns {{ stop: () => void }} Cuts the note short, fading it out over
+ *   the release rather than with a click.
+ */
+export function reed(
+  context,
+  { pitch, time, duration, gain = 0.2 },
+  destination = context.destination,
+) {
+  const frequency = frequencyOf(pitch),
+    oscillator = context.createOscillator(),
+    filter = context.createBiquadFilter(),
+    envelope = context.createGain(),
+    vibrato = context.createOscillator(),
+    depth = context.createGain(),
+    end = time + Math.max(duration, ATTACK);
+
+  oscillator.type = "sawtooth";
+  oscillator.frequency.setValueAtTime(frequency, time);
+
+  vibrato.frequency.setValueAtTime(5, time);
+  depth.gain.setValueAtTime(0, time);
+  depth.gain.linearRampToValueAtTime(frequency * 0.004, time + 0.3);
+  vibrato.connect(depth).connect(oscillator.frequency);
+
+  filter.type = "lowpass";
+  filter.frequency.setValueAtTime(frequency * 2, time);
+  filter.frequency.linearRampToValueAtTime(frequency * 4, time + ATTACK);
+
+  envelope.gain.setValueAtTime(0, time);
+  envelope.gain.linearRampToValueAtTime(gain, time + ATTACK);
+  envelope.gain.setValueAtTime(gain, end);
+  envelope.gain.linearRampToValueAtTime(0, end + RELEASE);
+
+  oscillator.connect(filter).connect(envelope).connect(destination);
+  [oscillator, vibrato].forEach((node) => {
+    node.start(time);
+    node.stop(end + RELEASE);
+  });
+
+  return {
+    stop() {
+      const now = context.currentTime;
+      envelope.gain.cancelScheduledValues(now);
+      envelope.gain.setValueAtTime(envelope.gain.value, now);
+      envelope.gain.linearRampToValueAtTime(0, now + RELEASE);
+      [oscillator, vibrato].forEach((node) => node.stop(now + RELEASE));
+    },
+  };
+}
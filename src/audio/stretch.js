@@ -0,0 +1,132 @@
+// Frames of about 40 ms overlap by half; each may slide up to 10 ms from
+// its nominal place to line up with the audio already written.
+const FRAME_SECONDS = 0.04;
+const TOLERANCE_SECONDS = 0.01;
+
+// The search compares a stretch of the overlap at every `STEP`th sample,
+// first at every `STEP`th offset and then finely around the best one.
+const COMPARE_SECONDS = 0.012;
+const STEP = 4;
+
+function hann(length) {
+  return Float32Array.from(
+    { length },
+    (_value, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1)),
+  );
+}
+
+function mix(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach((channel) => {
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i];
+  });
+  return mono;
+}
+
+/**
+ * Changes the speed of audio without changing its pitch, by WSOLA
+ * (waveform-similarity overlap-add).
+ *
+ * Windowed frames are read from the input at `rate` times the pace they are
+ * written out, each nudged to where its waveform best continues the last
+ * frame written, so overlaps add up in phase. Every channel is cut at the
+ * same places, worked out from their mix, so the stereo image holds.
+ *
+ * @param {Float32Array[]} channels - One array of samples per channel.
+ * @param {number} rate - Speed, e.g. `0.5` for half speed.
+ * @param {number} sampleRate
+ *
+ * @returns {Float32Array[]} The stretched channels, about `1 / rate` as long.
+ */
+export function stretch(channels, rate, sampleRate) {
+  const input = channels[0].length,
+    length = Math.ceil(input / rate);
+  if (rate === 1 || !input) return channels.map((channel) => channel.slice());
+
+  const frame = 2 * Math.round((FRAME_SECONDS * sampleRate) / 2),
+    hop = frame / 2,
+    tolerance = Math.round(TOLERANCE_SECONDS * sampleRate),
+    compare = Math.min(hop, Math.round(COMPARE_SECONDS * sampleRate)),
+    window = hann(frame),
+    mono = mix(channels),
+    output = channels.map(() => new Float32Array(length + frame)),
+    weight = new Float32Array(length + frame);
+
+  const similarity = (from, to, step) => {
+    let sum = 0;
+    for (let i = 0; i < compare; i += step)
+      sum += mono[from + i] * mono[to + i];
+    return sum;
+  };
+
+  // Searches around `nominal` for the frame that best continues `natural`.
+  const align = (nominal, natural) => {
+    const lowest = Math.max(0, nominal - tolerance),
+      highest = Math.min(input - frame, nominal + tolerance);
+    if (highest < lowest || natural + compare > input) return lowest;
+
+    let best = lowest,
+      score = -Infinity;
+    for (let at = lowest; at <= highest; at += STEP) {
+      const candidate = similarity(at, natural, STEP);
+      if (candidate > score) [best, score] = [at, candidate];
+    }
+    const coarse = best;
+    for (
+      let at = Math.max(lowest, coarse - STEP + 1);
+      at <= Math.min(highest, coarse + STEP - 1);
+      at++
+    ) {
+      const candidate = similarity(at, natural, 1);
+      if (at === coarse || candidate > score) [best, score] = [at, candidate];
+    }
+    return best;
+  };
+
+  let previous = null;
+  for (let out = 0; out < length; out += hop) {
+    const nominal = Math.round(out * rate),
+      at = previous === null ? 0 : align(nominal, previous + hop),
+      span = Math.min(frame, input - at);
+    if (span <= 0) break;
+
+    channels.forEach((channel, c) => {
+      for (let i = 0; i < span; i++) {
+        output[c][out + i] += channel[at + i] * window[i];
+      }
+    });
+    for (let i = 0; i < span; i++) weight[out + i] += window[i];
+    previous = at;
+  }
+
+  return output.map((channel) => {
+    const result = channel.subarray(0, length);
+    for (let i = 0; i < length; i++) {
+      if (weight[i] > 1e-3) result[i] /= weight[i];
+    }
+    return result;
+  });
+}
+
+/**
+ * Stretches a decoded buffer; see `stretch`.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {number} rate - Speed, e.g. `0.75` for three-quarter speed.
+ *
+ * @returns {AudioBuffer}
+ */
+export function stretchBuffer(buffer, rate) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_v, c) =>
+      buffer.getChannelData(c),
+    ),
+    stretched = stretch(channels, rate, buffer.sampleRate),
+    result = new AudioBuffer({
+      numberOfChannels: stretched.length,
+      length: stretched[0].length,
+      sampleRate: buffer.sampleRate,
+    });
+  stretched.forEach((channel, c) => result.copyToChannel(channel, c));
+  return result;
+}
@@ -0,0 +1,109 @@
+import { parseTab } from "../tabs/parse";
+import { detectInstrument } from "../tabs/instruments";
+import { pluck } from "./pluck";
+
+// Lead time before the first note, so scheduling never lands in the past.
+const LEAD = 0.1;
+
+/**
+ * Lists the notes a page of tab sounds, in playing order, on whichever
+ * fretted instrument `detectInstrument` reads it as being for.
+ *
+ * Measures follow one another through every staff on the page, each as
+ * long as its beats. A note rings for `ring` beats, or as long as its
+ * `=====` sustain, and is cut short by the next note on the same string.
+ * The bass note opening a measure holds to the bar line, which is how the
+ * Moonlight tab asks for its bass to be played. Muted (`x`) notes have no
+ * pitch and are left out.
+ *
+ * @param {string} text - The page text.
+ * @param {{ bpm?: number, beatsPerMeasure?: number, ring?: number }} [options]
+ *
+ * @returns {{ time: number, duration: number, beat: number, pitch: number, string: number, fret: number, system: number, measure: number, line: number, column: number }[]}
+ *   `time` and `duration` in seconds; `beat` counted from the top of the page.
+ *
+ * @throws {TabSyntaxError} If the page isn't tab the parser can read.
+ */
+export function tabNotes(text, options = {}) {
+  const { bpm = 100, beatsPerMeasure = 4, ring = 1 } = options,
+    { tuning } = detectInstrument(text),
+    seconds = 60 / (Number(bpm) || 100),
+    notes = [];
+  let start = 0;
+
+  parseTab(text, { beatsPerMeasure }).systems.forEach((system) =>
+    system.measures.forEach((measure) => {
+      const [first] = measure.events,
+        bass = first && first.notes[first.notes.length - 1];
+
+      measure.events.forEach((event) =>
+        event.notes
+          .filter((note) => note.fret !== null)
+          .forEach((note) =>
+            notes.push({
+              beat: start + event.onset,
+              length: Math.max(
+                note.sustain || ring,
+                note === bass ? measure.beats - event.onset : 0,
+              ),
+              pitch: tuning[note.string] + note.fret,
+              string: note.string,
+              fret: note.fret,
+              system: system.index,
+              measure: measure.index,
+              line: note.line,
+              column: note.column,
+            }),
+          ),
+      );
+      start += measure.beats;
+    }),
+  );
+
+  return notes.map(({ length, ...note }) => {
+    const next = notes.find(
+      (other) => other.string === note.string && other.beat > note.beat,
+    );
+    return {
+      time: note.beat * seconds,
+      duration:
+        Math.min(length, next ? next.beat - note.beat : length) * seconds,
+      ...note,
+    };
+  });
+}
+
+/**
+ * Schedules a page of guitar tab on an audio context.
+ *
+ * @param {BaseAudioContext} context - A live or offline context.
+ * @param {string} text - The page text.
+ * @param {{ bpm?: number, beatsPerMeasure?: number, ring?: number, from?: number, to?: number }} [options]
+ *   `from` is the beat to start at and `to` the beat to stop before; notes
+ *   outside them are skipped.
+ *
+ * @returns {{ notes: object[], start: number, duration: number, stop: () => void }}
+ *   `notes` as from `tabNotes`, `start` the context time of beat 0 and
+ *   `duration` the seconds from `start` until the last note has rung out.
+ *
+ * @throws {TabSyntaxError} If the page isn't tab the parser can read.
+ */
+export function playTab(context, text, options = {}) {
+  const { from = 0, to = Infinity } = options,
+    notes = tabNotes(text, options).filter(
+      (note) => note.beat >= from && note.beat < to,
+    ),
+    // Beat `from` falls LEAD from now, even if it opens on a rest.
+    offset = (from * 60) / (Number(options.bpm) || 100),
+    start = context.currentTime + LEAD - offset,
+    sources = notes.map((note) =>
+      pluck(context, { ...note, time: start + note.time }),
+    );
+
+  return {
+    notes,
+    start,
+    duration: Math.max(0, ...notes.map((note) => note.time + note.duration)),
+    stop: () => sources.forEach((source) => source.stop()),
+  };
+}
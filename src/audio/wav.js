@@ -0,0 +1,44 @@
+/**
+ * Encodes audio as a 16-bit PCM WAV file, so a media element can play
+ * audio made in the page.
+ *
+ * @param {AudioBuffer} buffer
+ *
+ * @returns {Blob} `audio/wav`.
+ */
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels,
+    bytes = buffer.length * channels * 2,
+    view = new DataView(new ArrayBuffer(44 + bytes)),
+    data = Array.from({ length: channels }, (_v, c) =>
+      buffer.getChannelData(c),
+    );
+
+  const text = (at, value) =>
+    [...value].forEach((char, i) => view.setUint8(at + i, char.charCodeAt(0)));
+
+  text(0, "RIFF");
+  view.setUint32(4, 36 + bytes, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  text(36, "data");
+  view.setUint32(40, bytes, true);
+
+  // Samples interleave channel by channel, clipped to the 16-bit range.
+  let at = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(at, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      at += 2;
+    }
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
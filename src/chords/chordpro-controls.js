@@ -0,0 +1,71 @@
+import {
+  formatChordPro,
+  importChordSheet,
+  isChordPro,
+  parseChordPro,
+  textFromHtml,
+  transposeSong,
+} from "./chordpro";
+
+/**
+ * Wires `.chordpro-import`, which brings songs in as ChordPro, and
+ * `.chordpro-export`, which offers the song open as ChordPro.
+ *
+ * Songs come in as ChordPro, or as lyrics with or without chords over
+ * them, from a text file or a saved web page. A song goes out with its
+ * chords as transposed; tab and harmonica songs have no lyrics to carry
+ * them, so don't.
+ *
+ * @param {object} options
+ * @param {(entry: { path: string }, read: () => object) => object|null} options.readChordPro -
+ *   Runs `read`, giving `null` if the song can't be read.
+ * @param {() => object} options.getEntry - The song open.
+ * @param {() => number} options.getSemitones - How far its chords are moved.
+ * @param {(song: { title: string, source: string }) => void} options.onImport -
+ *   A song was read in, as ChordPro.
+ */
+export function wireChordPro({
+  readChordPro,
+  getEntry,
+  getSemitones,
+  onImport,
+}) {
+  document.querySelectorAll(".chordpro-import").forEach((input) => {
+    input.addEventListener("change", async (e) => {
+      const [file] = e.target.files;
+      if (!file) return;
+      const title = file.name.replace(/\.[^.]+$/, ""),
+        text = await file.text(),
+        plain = /\.html?$/i.test(file.name) ? textFromHtml(text) : text,
+        source = isChordPro(plain)
+          ? plain
+          : formatChordPro(importChordSheet(plain, { title }));
+      if (!readChordPro({ path: file.name }, () => parseChordPro(source))) {
+        return;
+      }
+      onImport({ title, source });
+    });
+  });
+
+  document.querySelectorAll(".chordpro-export").forEach((link) => {
+    link.addEventListener("click", (e) => {
+      const entry = getEntry(),
+        song =
+          entry.format === "chordpro"
+            ? readChordPro(entry, () => parseChordPro(entry.read()))
+            : entry.format === "lyrics" &&
+              importChordSheet(entry.read(), { title: entry.title });
+      if (!song) {
+        e.preventDefault();
+        return;
+      }
+      if (link.href) URL.revokeObjectURL(link.href);
+      link.href = URL.createObjectURL(
+        new Blob([formatChordPro(transposeSong(song, getSemitones()))], {
+          type: "text/plain",
+        }),
+      );
+      link.download = `${entry.title}.cho`;
+    });
+  });
+}
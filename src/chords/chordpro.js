@@ -0,0 +1,442 @@
+import { transposeChordName } from "../tabs/transpose";
+import { chordTones } from "./voicing";
+
+/**
+ * Thrown when ChordPro text cannot be read. `line` and `column` are 1-based
+ * and point at the offending character in the source.
+ */
+export class ChordProSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "ChordProSyntaxError";
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Short directive names, spelled out.
+const ALIASES = {
+  t: "title",
+  st: "subtitle",
+  c: "comment",
+  ci: "comment",
+  comment_italic: "comment",
+  comment_box: "comment",
+  cb: "comment",
+  soc: "start_of_chorus",
+  eoc: "end_of_chorus",
+  sov: "start_of_verse",
+  eov: "end_of_verse",
+  sob: "start_of_bridge",
+  eob: "end_of_bridge",
+  sot: "start_of_tab",
+  eot: "end_of_tab",
+};
+
+// Directives the header of a rendered song shows, in order.
+const HEADER = ["title", "subtitle", "artist"];
+const DETAILS = { key: "Key", capo: "Capo", tempo: "Tempo", time: "Time" };
+
+const DIRECTIVE = /^\s*\{\s*([\w-]+)\s*(?::\s*(.*?))?\s*\}\s*$/;
+
+// Section labels in plain chord sheets, such as `[Chorus]`, `[Coro]` or
+// `Verse 2:`.
+const SECTION_LABEL =
+  /^\s*(?:\[[^\]]+\]|((?:pre-?)?chorus|verse|bridge|intro|outro|interlude|solo)\b[^:]*:?)\s*$/i;
+
+// A chord's name, standing alone on a line of chords. Roots are capitals,
+// so lyrics like Spanish `a` and `e` aren't taken for chords.
+const isChord = (token) => /^[A-G]/.test(token) && chordTones(token) !== null;
+
+/**
+ * Reads a song in ChordPro: `{directive: value}` lines, `[Am]` chords
+ * inline before the syllable they fall on, and sections such as
+ * `{start_of_chorus}` ... `{end_of_chorus}`. Lines starting with `#` are
+ * left out.
+ *
+ * @param {string} source
+ *
+ * @returns {{ meta: object, sections: { type: string|null, label: string, lines: object[] }[] }}
+ *   `meta` holds the song's directives by name, such as `title` and `key`.
+ *   A section's `type` is `chorus`, `verse`, `bridge` or `tab`, or `null`
+ *   outside any. Lines are `{ type: "lyrics", parts: { chord, text }[] }`,
+ *   `{ type: "comment", text }`, `{ type: "tab", text }`, `{ type:
+ *   "chorus" }` where the chorus is called for again, or `{ type: "empty" }`.
+ *
+ * @throws {ChordProSyntaxError} On an unclosed `[` or `{`, or a section
+ *   ended that wasn't started.
+ */
+export function parseChordPro(source) {
+  const meta = {},
+    sections = [];
+  let section = null;
+
+  const open = (type, label = "") => {
+    section = { type, label, lines: [] };
+    sections.push(section);
+  };
+  const add = (line) => {
+    if (!section) open(null);
+    section.lines.push(line);
+  };
+
+  source
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((text, index) => {
+      const lineNumber = index + 1;
+
+      if (section?.type === "tab" && !/^\s*\{\s*(eot|end_of_tab)/.test(text)) {
+        add({ type: "tab", text });
+        return;
+      }
+      if (/^#/.test(text)) return;
+
+      if (/^\s*\{/.test(text)) {
+        const match = text.match(DIRECTIVE);
+        if (!match) {
+          throw new ChordProSyntaxError(
+            "Unclosed directive",
+            lineNumber,
+            text.indexOf("{") + 1,
+          );
+        }
+        const name = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase(),
+          value = match[2] ?? "",
+          started = name.match(/^start_of_(\w+)$/),
+          ended = name.match(/^end_of_(\w+)$/);
+
+        if (started) {
+          open(started[1], value);
+        } else if (ended) {
+          if (section?.type !== ended[1]) {
+            throw new ChordProSyntaxError(
+              `{${match[1]}} without its start`,
+              lineNumber,
+              text.indexOf("{") + 1,
+            );
+          }
+          section = null;
+        } else if (name === "comment") {
+          add({ type: "comment", text: value });
+        } else if (name === "chorus") {
+          add({ type: "chorus" });
+        } else if (name === "meta") {
+          const [key, ...rest] = value.split(/\s+/);
+          meta[key.toLowerCase()] = rest.join(" ");
+        } else {
+          meta[name] = value;
+        }
+        return;
+      }
+
+      if (!text.trim()) {
+        add({ type: "empty" });
+        return;
+      }
+
+      const parts = [{ chord: null, text: "" }];
+      let at = 0;
+      while (at < text.length) {
+        const bracket = text.indexOf("[", at);
+        if (bracket < 0) {
+          parts[parts.length - 1].text += text.slice(at);
+          break;
+        }
+        const close = text.indexOf("]", bracket);
+        if (close < 0) {
+          throw new ChordProSyntaxError(
+            "Unclosed chord",
+            lineNumber,
+            bracket + 1,
+          );
+        }
+        parts[parts.length - 1].text += text.slice(at, bracket);
+        parts.push({ chord: text.slice(bracket + 1, close).trim(), text: "" });
+        at = close + 1;
+      }
+      add({
+        type: "lyrics",
+        parts: parts.filter((part, i) => i > 0 || part.text),
+      });
+    });
+
+  return { meta, sections };
+}
+
+// Lays a line out as chords over lyrics, each chord over the syllable it
+// falls on. Where a chord runs past its syllable, the lyrics make room.
+function layoutLine(parts) {
+  let chords = "",
+    lyrics = "";
+  parts.forEach(({ chord, text }) => {
+    if (chord) {
+      const at = Math.max(lyrics.length, chords ? chords.length + 1 : 0);
+      lyrics = lyrics.padEnd(at);
+      chords = chords.padEnd(at) + chord;
+    }
+    lyrics += text;
+  });
+  return [chords, lyrics.trimEnd()].filter(Boolean);
+}
+
+function sectionTitle({ type, label }) {
+  if (label) return `${label}:`;
+  if (!type || type === "verse") return null;
+  return `${type[0].toUpperCase()}${type.slice(1)}:`;
+}
+
+/**
+ * Lists the chords a song or section uses, each once, in order of first use.
+ *
+ * @param {{ lines: object[] }[]} sections - From `parseChordPro`.
+ *
+ * @returns {string[]}
+ */
+export function songChords(sections) {
+  return [
+    ...new Set(
+      sections.flatMap((section) =>
+        section.lines.flatMap((line) =>
+          line.type === "lyrics"
+            ? line.parts.map((part) => part.chord).filter(Boolean)
+            : [],
+        ),
+      ),
+    ),
+  ];
+}
+
+/**
+ * Splits a song into reader pages, with its chords written over the lyrics:
+ * a page for the song's details, if it has any, and one per section.
+ *
+ * @param {{ meta: object, sections: object[] }} song - From `parseChordPro`.
+ *
+ * @returns {{ section: number|null, chords: string, text: string }[]}
+ *   Like `splitPages`; `chords` lists the page's chords for its diagrams.
+ */
+export function chordProPages({ meta, sections }) {
+  const header = [
+      ...HEADER.map((name) => meta[name]).filter(Boolean),
+      Object.entries(DETAILS)
+        .filter(([name]) => meta[name])
+        .map(([name, label]) => `${label}: ${meta[name]}`)
+        .join("   "),
+    ].filter(Boolean),
+    chorus = sections.find((section) => section.type === "chorus");
+
+  const pages = sections
+    .map((section, i) => {
+      const title = sectionTitle(section),
+        lines = section.lines.flatMap((line) => {
+          if (line.type === "lyrics") return layoutLine(line.parts);
+          if (line.type === "comment") return [`(${line.text})`];
+          if (line.type === "chorus") {
+            return [
+              chorus ? `(${sectionTitle(chorus).slice(0, -1)})` : "(Chorus)",
+            ];
+          }
+          if (line.type === "tab") return [line.text];
+          return [""];
+        });
+      return {
+        section: i + 1,
+        chords: songChords([section]).join(", "),
+        text: [...(title ? [title] : []), ...lines].join("\n").trim(),
+      };
+    })
+    .filter((page) => page.text);
+
+  return header.length
+    ? [{ section: null, chords: "", text: header.join("\n") }, ...pages]
+    : pages;
+}
+
+/**
+ * Writes a song back out as ChordPro.
+ *
+ * @param {{ meta: object, sections: object[] }} song - As `parseChordPro`
+ *   reads it.
+ *
+ * @returns {string}
+ */
+export function formatChordPro({ meta, sections }) {
+  const lines = Object.entries(meta).map(
+    ([name, value]) => `{${name}: ${value}}`,
+  );
+  // A song read back from ChordPro keeps the blank line after its
+  // directives as its first line; don't add another each time round.
+  const [first] = sections,
+    spaced = first && !first.type && first.lines[0]?.type === "empty";
+  if (lines.length && !spaced) lines.push("");
+
+  sections.forEach(({ type, label, lines: content }) => {
+    if (type) lines.push(`{start_of_${type}${label ? `: ${label}` : ""}}`);
+    content.forEach((line) => {
+      if (line.type === "lyrics") {
+        lines.push(
+          line.parts
+            // Brackets in the words would read back as chords.
+            .map(
+              ({ chord, text }) =>
+                (chord ? `[${chord}]` : "") +
+                text.replace(/\[/g, "(").replace(/\]/g, ")"),
+            )
+            .join(""),
+        );
+      } else if (line.type === "comment") {
+        lines.push(`{comment: ${line.text}}`);
+      } else if (line.type === "chorus") {
+        lines.push("{chorus}");
+      } else if (line.type === "tab") {
+        lines.push(line.text);
+      } else {
+        lines.push("");
+      }
+    });
+    if (type) lines.push(`{end_of_${type}}`);
+  });
+
+  return `${lines.join("\n").trim()}\n`;
+}
+
+/**
+ * Transposes every chord in a song, and its key, by a number of semitones.
+ * See `transposeChordName`.
+ *
+ * @returns {{ meta: object, sections: object[] }} A new song.
+ */
+export function transposeSong({ meta, sections }, semitones) {
+  const shift = (name) => transposeChordName(name, semitones);
+  return {
+    meta: meta.key ? { ...meta, key: shift(meta.key) } : { ...meta },
+    sections: sections.map((section) => ({
+      ...section,
+      lines: section.lines.map((line) =>
+        line.type === "lyrics"
+          ? {
+              ...line,
+              parts: line.parts.map((part) => ({
+                ...part,
+                chord: part.chord && shift(part.chord),
+              })),
+            }
+          : line,
+      ),
+    })),
+  };
+}
+
+/**
+ * Whether text looks like ChordPro rather than plain lyrics or chords over
+ * lyrics: it has a `{directive}` line or an inline `[chord]`.
+ */
+export function isChordPro(text) {
+  return (
+    /^\s*\{\s*[\w-]+\s*(:.*)?\}\s*$/m.test(text) ||
+    [...text.matchAll(/\[([^\]\n]+)\]/g)].some((match) => isChord(match[1]))
+  );
+}
+
+/**
+ * Pulls the text out of a saved web page, such as a chord site's song page:
+ * the first `<pre>` if it has one, with tags dropped and entities decoded.
+ *
+ * @param {string} html
+ */
+export function textFromHtml(html) {
+  const pre = html.match(/<pre\b[^>]*>([\s\S]*?)<\/pre>/i);
+  return (pre ? pre[1] : html)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_match, code) => String.fromCharCode(code))
+    .replace(/&#x([\da-f]+);/gi, (_match, code) =>
+      String.fromCharCode(parseInt(code, 16)),
+    )
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Reads plain lyrics, or chords written on the line above the lyrics they
+ * go with, into a song: each chord goes into the lyric line under it at its
+ * column. Labels such as `[Chorus]` become comments.
+ *
+ * @param {string} text
+ * @param {{ title?: string }} [options]
+ *
+ * @returns {{ meta: object, sections: object[] }} As from `parseChordPro`.
+ */
+export function importChordSheet(text, { title = "" } = {}) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n"),
+    content = [],
+    chordsAt = (line) =>
+      [...line.matchAll(/\S+/g)].map((match) => ({
+        chord: match[0],
+        column: match.index,
+      }));
+  const isChordLine = (line) =>
+    line.trim() !== "" && line.trim().split(/\s+/).every(isChord);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
+    if (!line.trim()) {
+      content.push({ type: "empty" });
+      continue;
+    }
+    const label =
+      SECTION_LABEL.test(line) && line.trim().replace(/^\[|\]?:?$/g, "");
+    if (label && !isChord(label)) {
+      content.push({ type: "comment", text: label });
+      continue;
+    }
+    if (!isChordLine(line)) {
+      content.push({ type: "lyrics", parts: [{ chord: null, text: line }] });
+      continue;
+    }
+
+    const chords = chordsAt(line),
+      next = lines[i + 1]?.trimEnd() ?? "";
+    if (!next.trim() || isChordLine(next) || SECTION_LABEL.test(next)) {
+      content.push({
+        type: "lyrics",
+        parts: chords.map(({ chord }, j) => ({
+          chord,
+          text: j < chords.length - 1 ? " " : "",
+        })),
+      });
+      continue;
+    }
+
+    // Chords past the end of the lyrics hang off the end of the line.
+    const lyric = next.padEnd(chords[chords.length - 1].column),
+      parts = [{ chord: null, text: lyric.slice(0, chords[0].column) }];
+    chords.forEach(({ chord, column }, j) => {
+      parts.push({
+        chord,
+        text: lyric.slice(column, chords[j + 1]?.column ?? lyric.length),
+      });
+    });
+    content.push({
+      type: "lyrics",
+      parts: parts
+        .filter((part, j) => j > 0 || part.text)
+        .map((part, j, all) =>
+          j === all.length - 1 ? { ...part, text: part.text.trimEnd() } : part,
+        ),
+    });
+    i++;
+  }
+
+  while (content[0]?.type === "empty") content.shift();
+  while (content[content.length - 1]?.type === "empty") content.pop();
+  return {
+    meta: title ? { title } : {},
+    sections: content.length ? [{ type: null, label: "", lines: content }] : [],
+  };
+}
@@ -0,0 +1,249 @@
+import { findBarres, formatShape } from "./shape";
+
+const SVG = "http://www.w3.org/2000/svg";
+
+// Frets a box shows at least, and its spacing in SVG units.
+const SPAN = 4;
+const STRING_GAP = 10;
+const FRET_GAP = 12;
+const MARGIN = { top: 26, left: 16, right: 8, bottom: 6 };
+
+// Pixels per SVG unit at a scale of 1.
+const PIXELS = 1.5;
+
+/**
+ * Lays out a chord box: which fret it starts at, what goes above the nut,
+ * and where the dots and barres sit.
+ *
+ * The box starts at the nut while the shape fits in its first `SPAN`
+ * frets, and otherwise at the shape's lowest fret, which is then labelled.
+ *
+ * @param {(number|null)[]} frets - From `parseShape`, lowest string first.
+ * @param {(number|"T"|null)[]} [fingers]
+ *
+ * @returns {{ strings: number, baseFret: number, span: number, open: number[], muted: number[], dots: object[], barres: object[] }}
+ *   `dots` are `{ string, row, finger }` and `barres` `{ row, from, to,
+ *   finger }`, with `row` counted from 1 at the top of the box.
+ */
+export function chordLayout(frets, fingers = []) {
+  const stopped = frets.filter((fret) => fret > 0),
+    highest = Math.max(0, ...stopped),
+    baseFret = highest <= SPAN ? 1 : Math.min(...stopped),
+    barres = findBarres(frets, fingers).map(({ fret, ...barre }) => ({
+      row: fret - baseFret + 1,
+      ...barre,
+    })),
+    barred = (string, row) =>
+      barres.some(
+        (barre) =>
+          barre.row === row && barre.from <= string && string <= barre.to,
+      );
+
+  const dots = [];
+  frets.forEach((fret, string) => {
+    const row = fret - baseFret + 1;
+    if (fret > 0 && !barred(string, row)) {
+      dots.push({ string, row, finger: fingers[string] || null });
+    }
+  });
+
+  return {
+    strings: frets.length,
+    baseFret,
+    span: Math.max(SPAN, highest - baseFret + 1),
+    open: frets.flatMap((fret, string) => (fret === 0 ? [string] : [])),
+    muted: frets.flatMap((fret, string) => (fret === null ? [string] : [])),
+    dots,
+    barres,
+  };
+}
+
+function svg(name, attributes = {}, text = null) {
+  const element = document.createElementNS(SVG, name);
+  Object.entries(attributes).forEach(([key, value]) =>
+    element.setAttribute(key, value),
+  );
+  if (text !== null) element.textContent = text;
+  return element;
+}
+
+/**
+ * Draws a chord box as SVG: strings run down from the lowest on the left,
+ * frets across; `○` and `×` above the nut mark open and muted strings, and
+ * finger numbers sit in their dots when the chord has them.
+ *
+ * @param {{ name?: string, frets: (number|null)[], fingers?: (number|"T"|null)[], scale?: number, hint?: string }} chord
+ *   `scale` multiplies the box's size in pixels, 1 by default; `hint` is
+ *   added to the tooltip.
+ *
+ * @returns {SVGSVGElement}
+ */
+export function renderChordDiagram({
+  name = "",
+  frets,
+  fingers = [],
+  scale = 1,
+  hint = "",
+}) {
+  const layout = chordLayout(frets, fingers),
+    width = (layout.strings - 1) * STRING_GAP,
+    height = layout.span * FRET_GAP,
+    x = (string) => MARGIN.left + string * STRING_GAP,
+    y = (row) => MARGIN.top + row * FRET_GAP,
+    full = {
+      width: MARGIN.left + width + MARGIN.right,
+      height: MARGIN.top + height + MARGIN.bottom,
+    },
+    root = svg("svg", {
+      class: "chord-diagram",
+      viewBox: `0 0 ${full.width} ${full.height}`,
+      width: full.width * scale * PIXELS,
+      height: full.height * scale * PIXELS,
+      role: "img",
+      "aria-label": `${name} ${formatShape(frets)}`.trim(),
+      "font-family": "sans-serif",
+      fill: "currentColor",
+      stroke: "currentColor",
+    });
+
+  root.append(
+    svg(
+      "title",
+      {},
+      [`${name} ${formatShape(frets)}`.trim(), hint]
+        .filter(Boolean)
+        .join(" — "),
+    ),
+  );
+  root.append(
+    svg(
+      "text",
+      {
+        x: MARGIN.left + width / 2,
+        y: 9,
+        "font-size": 9,
+        "text-anchor": "middle",
+        stroke: "none",
+      },
+      name,
+    ),
+  );
+
+  for (let string = 0; string < layout.strings; string++) {
+    root.append(
+      svg("line", {
+        x1: x(string),
+        y1: y(0),
+        x2: x(string),
+        y2: y(layout.span),
+        "stroke-width": 0.6,
+      }),
+    );
+  }
+  for (let row = 0; row <= layout.span; row++) {
+    root.append(
+      svg("line", {
+        x1: x(0),
+        y1: y(row),
+        x2: x(layout.strings - 1),
+        y2: y(row),
+        // The nut is drawn heavy; higher up the neck the label says where.
+        "stroke-width": row === 0 && layout.baseFret === 1 ? 2.5 : 0.6,
+      }),
+    );
+  }
+  if (layout.baseFret > 1) {
+    root.append(
+      svg(
+        "text",
+        {
+          x: MARGIN.left - 4,
+          y: y(0.5) + 3,
+          "font-size": 7,
+          "text-anchor": "end",
+          stroke: "none",
+        },
+        `${layout.baseFret}fr`,
+      ),
+    );
+  }
+
+  layout.open.forEach((string) =>
+    root.append(
+      svg("circle", {
+        cx: x(string),
+        cy: y(0) - 6,
+        r: 2.5,
+        fill: "none",
+        "stroke-width": 0.8,
+      }),
+    ),
+  );
+  layout.muted.forEach((string) =>
+    root.append(
+      svg(
+        "text",
+        {
+          x: x(string),
+          y: y(0) - 3.5,
+          "font-size": 8,
+          "text-anchor": "middle",
+          stroke: "none",
+        },
+        "×",
+      ),
+    ),
+  );
+
+  layout.barres.forEach(({ row, from, to }) =>
+    root.append(
+      svg("rect", {
+        x: x(from) - 3.5,
+        y: y(row - 0.5) - 3.5,
+        width: x(to) - x(from) + 7,
+        height: 7,
+        rx: 3.5,
+        stroke: "none",
+      }),
+    ),
+  );
+  layout.dots.forEach(({ string, row }) =>
+    root.append(
+      svg("circle", {
+        cx: x(string),
+        cy: y(row - 0.5),
+        r: 3.5,
+        stroke: "none",
+      }),
+    ),
+  );
+
+  // Finger numbers go on the dots, and on a barre over its lowest string.
+  [
+    ...layout.dots,
+    ...layout.barres.map(({ row, from, finger }) => ({
+      string: from,
+      row,
+      finger,
+    })),
+  ]
+    .filter(({ finger }) => finger)
+    .forEach(({ string, row, finger }) =>
+      root.append(
+        svg(
+          "text",
+          {
+            x: x(string),
+            y: y(row - 0.5) + 2,
+            "font-size": 5.5,
+            "text-anchor": "middle",
+            fill: "white",
+            stroke: "none",
+          },
+          String(finger),
+        ),
+      ),
+    );
+
+  return root;
+}
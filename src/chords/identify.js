@@ -0,0 +1,390 @@
+import { detectInstrument } from "../tabs/instruments";
+import { parseTab } from "../tabs/parse";
+import { SHARPS, STANDARD_TUNING, pitchClass } from "../tabs/tuning";
+
+/**
+ * Chord qualities by the intervals above the root they are made of, most
+ * common first; ties in scoring go to the earlier one.
+ */
+export const QUALITIES = [
+  { suffix: "", intervals: [0, 4, 7] },
+  { suffix: "m", intervals: [0, 3, 7] },
+  { suffix: "7", intervals: [0, 4, 7, 10] },
+  { suffix: "m7", intervals: [0, 3, 7, 10] },
+  { suffix: "maj7", intervals: [0, 4, 7, 11] },
+  { suffix: "5", intervals: [0, 7] },
+  { suffix: "sus4", intervals: [0, 5, 7] },
+  { suffix: "sus2", intervals: [0, 2, 7] },
+  { suffix: "dim", intervals: [0, 3, 6] },
+  { suffix: "aug", intervals: [0, 4, 8] },
+  { suffix: "6", intervals: [0, 4, 7, 9] },
+  { suffix: "m6", intervals: [0, 3, 7, 9] },
+  { suffix: "7sus4", intervals: [0, 5, 7, 10] },
+  { suffix: "m7b5", intervals: [0, 3, 6, 10] },
+  { suffix: "dim7", intervals: [0, 3, 6, 9] },
+  { suffix: "mMaj7", intervals: [0, 3, 7, 11] },
+];
+
+// Notes over a chord named as extensions, by interval above the root.
+// Sevenths aren't here: a chord with one is named by a seventh quality.
+const EXTENSIONS = {
+  1: "b9",
+  2: "9",
+  3: "#9",
+  5: "11",
+  6: "#11",
+  8: "b13",
+  9: "13",
+};
+
+// What leaving out or adding a note costs a name; the lowest total wins.
+const COST = {
+  rootless: 3,
+  omit3: 2,
+  sans5: 1,
+  extension: 1.5,
+  inversion: 0.5,
+  slash: 1,
+};
+
+/**
+ * The pitches a chord shape sounds.
+ *
+ * @param {(number|null)[]} frets - From `parseShape`, lowest string first.
+ * @param {number[]} [tuning] - Open strings as MIDI notes, top line first
+ *   like `STANDARD_TUNING`.
+ *
+ * @returns {number[]} MIDI notes, lowest string first; muted strings left out.
+ */
+export function shapePitches(frets, tuning = STANDARD_TUNING) {
+  const open = [...tuning].reverse();
+  return frets.flatMap((fret, string) =>
+    fret === null || open[string] === undefined ? [] : [open[string] + fret],
+  );
+}
+
+// Names one reading of the notes: `quality` built on `root`, or `null`
+// when notes are left over that no extension accounts for.
+function reading(classes, bass, root, quality) {
+  const present = new Set(classes.map((pc) => (pc - root + 12) % 12)),
+    has = (interval) => present.has(interval),
+    missing = quality.intervals.filter((interval) => !has(interval)),
+    third = quality.intervals.find((i) => i === 3 || i === 4),
+    fifth = quality.intervals.find((i) => i === 6 || i === 7 || i === 8);
+
+  // Only the root, third and fifth may be left out, and not all but one:
+  // a sixth or seventh quality needs its sixth or seventh.
+  if (quality.intervals.length - missing.length < 2) return null;
+  if (missing.some((i) => i !== 0 && i !== third && i !== fifth)) return null;
+
+  const extensions = [...present]
+    .filter((interval) => !quality.intervals.includes(interval))
+    .sort((a, b) => a - b);
+  if (extensions.some((interval) => !EXTENSIONS[interval])) return null;
+
+  const omitted = [],
+    added = [];
+  let cost = 0,
+    altered = null;
+  if (missing.includes(0)) {
+    if (present.size < 3) return null;
+    omitted.push("rootless");
+    cost += COST.rootless;
+  }
+  if (third !== undefined && missing.includes(third)) {
+    omitted.push("omit3");
+    cost += COST.omit3;
+  }
+  if (fifth !== undefined && missing.includes(fifth)) {
+    // A fifth moved a semitone reads as an altered fifth, e.g. `Dm#5`.
+    altered = fifth === 7 && (has(8) ? "#5" : has(6) ? "b5" : null);
+    if (!altered) {
+      omitted.push("sans5");
+      cost += COST.sans5;
+    }
+  }
+  extensions.forEach((interval) => {
+    if (
+      (altered === "#5" && interval === 8) ||
+      (altered === "b5" && interval === 6)
+    ) {
+      cost += COST.sans5;
+      return;
+    }
+    added.push(EXTENSIONS[interval]);
+    cost += COST.extension;
+  });
+
+  let slash = "";
+  if (bass !== root) {
+    slash = `/${SHARPS[bass]}`;
+    cost += quality.intervals.includes((bass - root + 12) % 12)
+      ? COST.inversion
+      : COST.slash;
+  }
+
+  const seventh = quality.intervals.length > 3,
+    extra = added.length
+      ? seventh
+        ? `(${added.join(",")})`
+        : `add${added.join(",")}`
+      : "",
+    name = [
+      `${SHARPS[root]}${quality.suffix}${altered || ""}${extra}${slash}`,
+      ...omitted,
+    ].join(" ");
+
+  return {
+    name,
+    root: SHARPS[root],
+    suffix: quality.suffix,
+    bass: SHARPS[bass],
+    extensions: altered ? [altered, ...added] : added,
+    omitted,
+    cost,
+  };
+}
+
+/**
+ * Names the chord a set of notes makes, with the alternatives.
+ *
+ * Every pitch class is tried as the root against every quality in
+ * `QUALITIES`, and also roots that aren't sounded, for rootless voicings.
+ * Leaving out the fifth (`sans5`), third (`omit3`) or root, adding
+ * extensions (`add9`, `7(b9)`), and a bass other than the root (`/G#`) each
+ * cost something; the cheapest readings come first.
+ *
+ * @param {number[]} pitches - MIDI notes; the lowest is the bass.
+ * @param {{ limit?: number }} [options] - How many names to return.
+ *
+ * @returns {{ name: string, root: string, suffix: string, bass: string, extensions: string[], omitted: string[], cost: number }[]}
+ *   Best first; empty for fewer than two different notes.
+ */
+export function identifyChord(pitches, { limit = 5 } = {}) {
+  const classes = [
+    ...new Set(pitches.map((pitch) => ((pitch % 12) + 12) % 12)),
+  ];
+  if (classes.length < 2) return [];
+
+  const bass = ((Math.min(...pitches) % 12) + 12) % 12,
+    readings = [];
+  for (let root = 0; root < 12; root++) {
+    QUALITIES.forEach((quality, order) => {
+      const found = reading(classes, bass, root, quality);
+      if (found) readings.push({ ...found, order });
+    });
+  }
+
+  const seen = new Set();
+  return readings
+    .sort((a, b) => a.cost - b.cost || a.order - b.order)
+    .filter(({ name }) => !seen.has(name) && seen.add(name))
+    .slice(0, limit)
+    .map(({ order, ...found }) => found);
+}
+
+/**
+ * Names the chord a shape makes; see `identifyChord`.
+ *
+ * @param {(number|null)[]} frets - Lowest string first.
+ * @param {number[]} [tuning] - Top line first.
+ */
+export function nameShape(frets, tuning = STANDARD_TUNING, options = {}) {
+  return identifyChord(shapePitches(frets, tuning), options);
+}
+
+const NAME = /^\s*([A-Ga-g])([#b♯♭]?)(.*?)(?:\/([A-Ga-g])([#b♯♭]?))?\s*$/;
+
+// Spellings of the same suffix, mapped to the ones `QUALITIES` uses.
+const SUFFIX_SPELLINGS = [
+  [/\((?:var|note)\)/g, ""],
+  [/\s+/g, ""],
+  [/♯/g, "#"],
+  [/♭/g, "b"],
+  [/[△Δ]|M(?=7)/g, "maj"],
+  [/^(min|-)/, "m"],
+  [/°/g, "dim"],
+  // Degrees may carry their accidental after, as in `E7 9♭`.
+  [/(5|9|11|13)([#b])(?!\d)/g, "$2$1"],
+  [/[(),]/g, ""],
+  [/add4/g, "add11"],
+  [/add2/g, "add9"],
+  // Voicings leave out the fifth all the time; it doesn't change the name.
+  [/sans5|no5|omit5/g, ""],
+  [/^maj$/, ""],
+];
+
+/**
+ * Splits a chord name into root, suffix and bass, with the suffix spelled
+ * the way `identifyChord` spells it where there's a choice.
+ *
+ * @param {string} name - e.g. `G♯ dim △7`, `Am7/G`.
+ *
+ * @returns {{ root: number, suffix: string, bass: number|null }|null}
+ *   `root` and `bass` as pitch classes, `bass` `null` without a slash.
+ *   `null` when it isn't a chord name.
+ */
+export function splitChordName(name) {
+  const match = String(name).match(NAME);
+  if (!match) return null;
+  const [, letter, accidental, rest, bassLetter, bassAccidental] = match,
+    root = pitchClass(letter, accidental);
+  return {
+    root,
+    suffix: SUFFIX_SPELLINGS.reduce(
+      (suffix, [pattern, spelling]) => suffix.replace(pattern, spelling),
+      rest,
+    ),
+    bass: bassLetter ? pitchClass(bassLetter, bassAccidental) : null,
+  };
+}
+
+/**
+ * Whether two chord names say the same thing, e.g. `Gmaj` and `G`,
+ * `A#m` and `B♭m`, or `E7 9♭` and `E7(b9)`.
+ */
+export function sameChordName(a, b) {
+  const [one, other] = [splitChordName(a), splitChordName(b)];
+  return Boolean(
+    one &&
+    other &&
+    one.root === other.root &&
+    (one.bass ?? one.root) === (other.bass ?? other.root) &&
+    one.suffix === other.suffix,
+  );
+}
+
+// Where a written name comes among readings. A name written without a
+// bass note stands for the chord in any inversion.
+function rankOf(written, names) {
+  const split = splitChordName(written);
+  if (!split) return -1;
+  return names.findIndex(({ name }) => {
+    const reading = splitChordName(name);
+    return (
+      reading.root === split.root &&
+      reading.suffix === split.suffix &&
+      (split.bass === null || (reading.bass ?? reading.root) === split.bass)
+    );
+  });
+}
+
+/**
+ * Checks a hand-written chord name against the notes it is written over.
+ *
+ * @param {string} written
+ * @param {number[]} pitches - MIDI notes.
+ *
+ * @returns {{ rank: number, names: object[] }} `rank` is where the written
+ *   name comes among the readings, from 0, or -1 if it isn't one of them.
+ */
+export function checkChordName(written, pitches) {
+  const names = identifyChord(pitches, { limit: 10 });
+  return { rank: rankOf(written, names), names };
+}
+
+// Notes struck less than this share as often as the commonest one in a
+// stretch of arpeggio are taken for passing notes, not chord notes.
+const PASSING = 0.25;
+
+/**
+ * Names the chord an arpeggio spells out over a stretch of notes. Passing
+ * notes are left out, except the bass.
+ *
+ * @param {number[]} pitches - MIDI notes in the order played.
+ *
+ * @returns {object[]} As from `identifyChord`.
+ */
+export function identifyArpeggio(pitches, options = {}) {
+  const counts = new Map();
+  pitches.forEach((pitch) =>
+    counts.set(pitch % 12, (counts.get(pitch % 12) || 0) + 1),
+  );
+  const most = Math.max(0, ...counts.values()),
+    bass = Math.min(...pitches);
+  return identifyChord(
+    pitches.filter(
+      (pitch) => pitch === bass || counts.get(pitch % 12) >= most * PASSING,
+    ),
+    options,
+  );
+}
+
+/**
+ * Names the chords in a page of tab: each stack of three or more
+ * notes struck together, and each measure's notes taken as an arpeggio.
+ *
+ * Where the section header names the chords measure by measure, each
+ * measure is split evenly between the changes written for it (`Am =>
+ * D(/F)`), and each part comes with its written name to check against.
+ *
+ * @param {string} text - The page text.
+ * @param {{ beatsPerMeasure?: number }} [options]
+ *
+ * @returns {{ key: string, chords: { beat: number, names: object[], written: string|null, rank: number }[], stacks: { beat: number, names: object[] }[] }[]}
+ *   One per measure; `key` matches the `data-measure` of its spans, and
+ *   `beat` counts from the start of the measure. `rank` is as from
+ *   `checkChordName`.
+ *
+ * @throws {TabSyntaxError} If the page isn't tab the parser can read.
+ */
+export function nameTabChords(text, options = {}) {
+  const model = parseTab(text, options),
+    { tuning } = detectInstrument(text),
+    pitchesOf = (notes) =>
+      notes
+        .filter((note) => note.fret !== null)
+        .map((note) => tuning[note.string] + note.fret),
+    measureCounts = new Map();
+
+  return model.systems.flatMap((system) => {
+    const section = model.sections.find(
+      (candidate) => candidate.number === system.section,
+    );
+    return system.measures.map((measure) => {
+      // Header chords count measures from the start of their section.
+      const counted = measureCounts.get(section) || 0;
+      measureCounts.set(section, counted + 1);
+
+      const written = section?.chords.find(
+          (chords) => chords.measure === counted,
+        )?.chords || [null],
+        part = measure.beats / written.length;
+      return {
+        key: `${system.index}.${measure.index}`,
+        chords: written.map((chord, i) => {
+          const names = identifyArpeggio(
+            pitchesOf(
+              measure.events
+                .filter(
+                  (event) =>
+                    event.onset >= i * part && event.onset < (i + 1) * part,
+                )
+                .flatMap((event) => event.notes),
+            ),
+            { limit: 10 },
+          );
+          return {
+            beat: i * part,
+            names,
+            written: chord && chord.name,
+            rank: chord ? rankOf(chord.name, names) : -1,
+          };
+        }),
+        stacks: measure.events
+          .map((event) => ({
+            beat: event.onset,
+            pitches: pitchesOf(event.notes),
+          }))
+          .filter(
+            ({ pitches }) =>
+              new Set(pitches.map((pitch) => pitch % 12)).size >= 3,
+          )
+          .map(({ beat, pitches }) => ({
+            beat,
+            names: identifyChord(pitches),
+          })),
+      };
+    });
+  });
+}
@@ -0,0 +1,118 @@
+// Fingers on a fretting hand; a shape that needs more has to barre.
+export const FINGERS = 4;
+
+/**
+ * Reads a chord shape written as frets from the lowest string up, such as
+ * `3 1 0 3 3 3` or `X 4 2 4 0 0`. Frets may also run together, as in
+ * `x02210`, when none is past 9.
+ *
+ * @param {string} text
+ *
+ * @returns {(number|null)[]|null} A fret per string, `null` for a muted
+ *   string; or `null` when the text isn't a shape.
+ */
+export function parseShape(text) {
+  const trimmed = String(text).trim(),
+    tokens = /\s/.test(trimmed) ? trimmed.split(/\s+/) : [...trimmed];
+  if (
+    tokens.length < 3 ||
+    !tokens.every((token) => /^(\d+|[xX])$/.test(token))
+  ) {
+    return null;
+  }
+  return tokens.map((token) => (/[xX]/.test(token) ? null : Number(token)));
+}
+
+/**
+ * Reads the fingers for a shape, one per string: `1` to `4`, `T` for the
+ * thumb, and `-`, `0` or `X` where no finger is down.
+ *
+ * @param {string} text
+ *
+ * @returns {(number|"T"|null)[]|null} `null` when the text isn't fingering.
+ */
+export function parseFingers(text) {
+  const tokens = String(text).trim().split(/\s+/);
+  if (!tokens.every((token) => /^([0-4]|[-xXtT])$/.test(token))) return null;
+  return tokens.map((token) => {
+    if (/^[tT]$/.test(token)) return "T";
+    return Number(token) || null;
+  });
+}
+
+/**
+ * Writes a shape back out, e.g. `X 4 2 4 0 0`.
+ *
+ * @param {(number|null)[]} frets
+ */
+export function formatShape(frets) {
+  return frets.map((fret) => (fret === null ? "X" : fret)).join(" ");
+}
+
+// Runs of neighbouring strings stopped at `fret` with nothing open, muted
+// or lower between them, which one finger could hold down.
+function runsAt(frets, fret) {
+  const runs = [];
+  let run = [];
+  frets.forEach((other, string) => {
+    if (other === fret) {
+      run.push(string);
+    } else if (other === null || other < fret) {
+      if (run.length) runs.push(run);
+      run = [];
+    }
+  });
+  if (run.length) runs.push(run);
+  return runs.filter((strings) => strings.length > 1);
+}
+
+/**
+ * Works out where a shape is barred.
+ *
+ * With fingering, a finger on the same fret of more than one string is a
+ * barre. Without, a barre is only assumed where the shape has more notes
+ * than fingers: from the lowest fret up, the longest run of strings a
+ * finger could lie across is barred until the rest can be fingered.
+ *
+ * @param {(number|null)[]} frets
+ * @param {(number|"T"|null)[]} [fingers]
+ *
+ * @returns {{ fret: number, from: number, to: number, finger: number|null }[]}
+ *   `from` and `to` are the outermost strings it covers, lowest first.
+ */
+export function findBarres(frets, fingers = []) {
+  if (fingers.some(Boolean)) {
+    const barres = [];
+    fingers.forEach((finger, string) => {
+      if (typeof finger !== "number" || !frets[string]) return;
+      const barre = barres.find(
+        (other) => other.finger === finger && other.fret === frets[string],
+      );
+      if (barre) {
+        barre.to = string;
+      } else {
+        barres.push({ fret: frets[string], from: string, to: string, finger });
+      }
+    });
+    return barres.filter((barre) => barre.to > barre.from);
+  }
+
+  const stopped = frets.filter((fret) => fret > 0),
+    barres = [];
+  let needed = stopped.length;
+  [...new Set(stopped)]
+    .sort((a, b) => a - b)
+    .forEach((fret) => {
+      if (needed <= FINGERS) return;
+      const [longest] = runsAt(frets, fret).sort((a, b) => b.length - a.length);
+      if (!longest) return;
+      barres.push({
+        fret,
+        from: longest[0],
+        to: longest[longest.length - 1],
+        finger: null,
+      });
+      needed -= longest.length - 1;
+    });
+  return barres;
+}
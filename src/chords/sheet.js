@@ -0,0 +1,155 @@
+import { formatShape, parseFingers, parseShape } from "./shape";
+
+const STORAGE_KEY = "chord-sheet-additions";
+
+// A chord named in a header, with a shape in brackets after it if it has
+// one, e.g. `Dmaj (X 5 4 2 3 2)`.
+const NAMED_SHAPE = /^(.*?)\s*\(([^()]*)\)\s*$/;
+
+/**
+ * Spells a chord name one way, so `G♯m` finds `G#m`: sharps and flats as
+ * `#` and `b`, and no spaces.
+ *
+ * @param {string} name
+ */
+export function chordKey(name) {
+  return String(name).replace(/♯/g, "#").replace(/♭/g, "b").replace(/\s+/g, "");
+}
+
+/**
+ * Reads the shapes in a chord sheet such as `Open Chords.md`: a `## Name`
+ * heading, then the frets as a `>` quote, lowest string first. A second
+ * quote line, if there is one, gives the fingers.
+ *
+ *     ## Gm
+ *
+ *     > 3 1 0 3 3 3
+ *     > 3 1 - 4 4 4
+ *
+ * @param {string} source
+ *
+ * @returns {{ name: string, frets: (number|null)[], fingers: (number|"T"|null)[] }[]}
+ *   In the order written; headings without a readable shape are left out.
+ */
+export function parseChordSheet(source) {
+  return source
+    .split(/^(?=## )/m)
+    .filter((text) => text.startsWith("## "))
+    .flatMap((text) => {
+      const [heading, ...lines] = text.split("\n"),
+        quotes = lines
+          .filter((line) => line.trim().startsWith(">"))
+          .map((line) => line.trim().slice(1)),
+        frets = parseShape(quotes[0] || "");
+      if (!frets) return [];
+
+      const fingers = quotes[1] !== undefined ? parseFingers(quotes[1]) : null;
+      return [
+        {
+          name: heading.slice(3).trim(),
+          frets,
+          fingers: fingers && fingers.length === frets.length ? fingers : [],
+        },
+      ];
+    });
+}
+
+/**
+ * Writes a shape into a chord sheet the way `parseChordSheet` reads it: a
+ * `## Name` heading and the frets quoted under it, then the fingers if
+ * there are any. A shape already under that name is replaced.
+ *
+ * @param {string} source - The chord sheet.
+ * @param {{ name: string, frets: (number|null)[], fingers?: (number|"T"|null)[] }} chord
+ *
+ * @returns {string} The sheet with the shape in it.
+ */
+export function addToChordSheet(source, { name, frets, fingers = [] }) {
+  const quotes = [`> ${formatShape(frets)}`];
+  if (fingers.some(Boolean)) {
+    quotes.push(`> ${fingers.map((finger) => finger || "-").join(" ")}`);
+  }
+  const text = `## ${name}\n\n${quotes.join("\n")}\n`,
+    parts = source.split(/^(?=## )/m),
+    at = parts.findIndex(
+      (part) =>
+        part.startsWith("## ") &&
+        chordKey(part.slice(3).split("\n")[0].trim()) === chordKey(name),
+    );
+  if (at >= 0) {
+    // Keep the blank line that parted it from the next heading.
+    parts[at] = at < parts.length - 1 ? `${text}\n` : text;
+    return parts.join("");
+  }
+  return `${source.replace(/\s*$/, "")}\n\n${text}`;
+}
+
+/**
+ * Reads the shapes saved to the chord sheet in this browser, oldest first.
+ */
+export function loadSavedChords() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Saves a shape to add to the chord sheet, in place of one saved under the
+ * same name.
+ *
+ * @returns {object[]} Every saved shape.
+ */
+export function saveChord(chord) {
+  const chords = [
+    ...loadSavedChords().filter(
+      (saved) => chordKey(saved.name) !== chordKey(chord.name),
+    ),
+    chord,
+  ];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(chords));
+  return chords;
+}
+
+/**
+ * Collects the shapes in chord sheets by name, the first of each name kept.
+ *
+ * @param {string[]} sources - Chord sheet texts.
+ *
+ * @returns {Map<string, object>} Keyed by `chordKey`.
+ */
+export function buildChordBook(sources) {
+  const book = new Map();
+  sources.flatMap(parseChordSheet).forEach((chord) => {
+    if (!book.has(chordKey(chord.name))) book.set(chordKey(chord.name), chord);
+  });
+  return book;
+}
+
+/**
+ * Lists the chords a tab section header names, such as `Am => D(/F), Am7/G`,
+ * with a shape for each the header writes out or the book knows.
+ *
+ * @param {string} label - The chords after `___` in a section header.
+ * @param {Map<string, object>} [book] - From `buildChordBook`.
+ *
+ * @returns {{ name: string, frets: (number|null)[]|null, fingers: (number|"T"|null)[] }[]}
+ *   `frets` is `null` for a chord with no shape to draw.
+ */
+export function headerChords(label, book = new Map()) {
+  return String(label)
+    .split(/,|=>/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(NAMED_SHAPE),
+        written = match && parseShape(match[2]);
+      if (written) return { name: match[1], frets: written, fingers: [] };
+
+      const known = book.get(chordKey(part));
+      return known
+        ? { ...known, name: part }
+        : { name: part, frets: null, fingers: [] };
+    });
+}
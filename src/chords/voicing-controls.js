@@ -0,0 +1,96 @@
+import { INSTRUMENTS } from "../tabs/instruments";
+import { renderChordDiagram } from "./diagram";
+import { loadSavedChords, saveChord } from "./sheet";
+import { findVoicings } from "./voicing";
+
+/**
+ * Lists voicings for the chord typed into `.voicing-name` on the
+ * `.voicing-instrument` chosen, as boxes in `.voicings`. Guitar is voiced
+ * in the tuning the reader is set to, and picking a guitar voicing saves
+ * it to the chord sheet, which `.chord-sheet-download` then offers.
+ *
+ * @param {object} options
+ * @param {object} [options.chordSheet] - The library's chord sheet entry.
+ * @param {() => number[]|null} options.getTuning - The guitar tuning set,
+ *   or `null` for standard.
+ * @param {(chord: { name: string, frets: (number|null)[] }) => void} [options.onSave] -
+ *   A voicing was saved to the chord sheet.
+ *
+ * @returns {{ refresh: () => void }} Lists the voicings again, as after a
+ *   change of tuning.
+ */
+export function createVoicingControls({
+  chordSheet,
+  getTuning,
+  onSave = () => {},
+}) {
+  const inputs = document.querySelectorAll(".voicing-name"),
+    instruments = document.querySelectorAll(".voicing-instrument"),
+    lists = document.querySelectorAll(".voicings"),
+    statuses = document.querySelectorAll(".voicing-status"),
+    downloads = document.querySelectorAll(".chord-sheet-download");
+
+  instruments.forEach((select) =>
+    Object.entries(INSTRUMENTS).forEach(([key, { name }]) =>
+      select.append(new Option(name, key)),
+    ),
+  );
+
+  function showStatus(text) {
+    statuses.forEach((el) => (el.textContent = text));
+  }
+
+  // Offers the sheet with the saved voicings in it, to write back over
+  // `Open Chords.md`.
+  function offerChordSheet() {
+    if (!chordSheet) return;
+    const url = URL.createObjectURL(
+      new Blob([chordSheet.read()], { type: "text/markdown" }),
+    );
+    downloads.forEach((link) => {
+      if (link.href) URL.revokeObjectURL(link.href);
+      link.href = url;
+      link.download = "Open Chords.md";
+      link.hidden = !loadSavedChords().length;
+    });
+  }
+
+  function keep(chord) {
+    saveChord(chord);
+    onSave(chord);
+    offerChordSheet();
+    showStatus(`Saved ${chord.name} to ${chordSheet.title}`);
+  }
+
+  const refresh = _.debounce(() => {
+    const name = inputs[0]?.value.trim() || "",
+      id = instruments[0]?.value || "guitar",
+      { strings, frets: highest } = INSTRUMENTS[id],
+      chosen = getTuning(),
+      tuning =
+        id === "guitar" && chosen?.length === strings.length ? chosen : strings,
+      voicings = name
+        ? findVoicings(name, { tuning, highest: Math.min(12, highest) })
+        : [];
+    lists.forEach((list) => {
+      list.replaceChildren(
+        ...voicings.map(({ frets }) => {
+          if (id !== "guitar") return renderChordDiagram({ name, frets });
+          const button = document.createElement("button");
+          button.type = "button";
+          button.title = "Save to the chord sheet";
+          button.append(renderChordDiagram({ name, frets }));
+          button.addEventListener("click", () => keep({ name, frets }));
+          return button;
+        }),
+      );
+    });
+    showStatus(name && !voicings.length ? `No voicings found for ${name}` : "");
+  }, 300);
+
+  inputs.forEach((input) => input.addEventListener("input", refresh));
+  instruments.forEach((select) => select.addEventListener("change", refresh));
+  offerChordSheet();
+
+  return { refresh };
+}
@@ -0,0 +1,232 @@
+import { STANDARD_TUNING } from "../tabs/tuning";
+import { QUALITIES, splitChordName } from "./identify";
+import { FINGERS, findBarres, formatShape } from "./shape";
+
+// Frets a hand reaches without a stretch.
+const REACH = 4;
+
+// Fewest strings a voicing may sound.
+const SOUNDING = 3;
+
+// Shorthand `splitChordName` leaves alone, spelled as the qualities are.
+// A ninth, eleventh or thirteenth chord is a seventh chord extended.
+const SHORTHAND = [
+  [/^(maj|mMaj|m)?(9|11|13)/, "$17$2"],
+  [/^\+/, "aug"],
+  [/^ø/, "m7b5"],
+  [/^sus(?!\d)/, "sus4"],
+  [/^M$/, ""],
+];
+
+// Semitones above the root for each degree a name may add.
+const DEGREES = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 2, 11: 5, 13: 9 };
+
+// What each thing about a voicing costs; the lowest total is best.
+const COST = {
+  span: 1,
+  position: 0.25,
+  open: -0.5,
+  muted: 1.25,
+  gap: 1.5,
+  barre: 1,
+  movement: 0.5,
+  change: 0.25,
+};
+
+/**
+ * Works out the notes a chord name calls for, such as `Dm♯5`, `Am/G`,
+ * `C△7` or `E7 9♭`.
+ *
+ * @param {string} name
+ *
+ * @returns {{ root: number, bass: number, intervals: number[], optional: number[] }|null}
+ *   `root` and `bass` as pitch classes; `intervals` above the root, and the
+ *   ones a voicing may leave out. `null` when the name can't be read.
+ */
+export function chordTones(name) {
+  const split = splitChordName(name);
+  if (!split) return null;
+
+  const suffix = SHORTHAND.reduce(
+      (text, [pattern, spelling]) => text.replace(pattern, spelling),
+      split.suffix,
+    ),
+    quality = QUALITIES.filter((candidate) =>
+      suffix.startsWith(candidate.suffix),
+    ).sort((a, b) => b.suffix.length - a.suffix.length)[0];
+  let rest = suffix.slice(quality.suffix.length);
+
+  const intervals = new Set(quality.intervals),
+    optional = new Set();
+  while (rest) {
+    const match = rest.match(/^(add)?([#b]?)(\d+)/);
+    if (!match || DEGREES[match[3]] === undefined) return null;
+    const [text, add, accidental, degree] = match,
+      interval = DEGREES[degree] + ({ "#": 1, b: -1 }[accidental] || 0) + 12;
+    if (degree === "5" && !add) {
+      intervals.delete(7);
+    } else if (!add && !accidental && quality.intervals.length > 3) {
+      // An eleventh or thirteenth takes in the ninth and eleventh under it,
+      // though a voicing can do without them.
+      ({ 11: [2], 13: [2, 5] })[degree]?.forEach((under) => {
+        intervals.add(under);
+        optional.add(under);
+      });
+    }
+    intervals.add(interval % 12);
+    rest = rest.slice(text.length);
+  }
+
+  // The fifth can go, unless the name alters it.
+  if (intervals.has(7) && intervals.size > 3) optional.add(7);
+  return {
+    root: split.root,
+    bass: split.bass ?? split.root,
+    intervals: [...intervals].sort((a, b) => a - b),
+    optional: [...optional].filter((interval) => interval !== 0),
+  };
+}
+
+// Notes a shape needs fingers for, once any barre is laid across.
+function fingersNeeded(frets) {
+  const stopped = frets.filter((fret) => fret > 0).length;
+  return findBarres(frets).reduce(
+    (needed, { fret, from, to }) =>
+      needed -
+      (frets.slice(from, to + 1).filter((other) => other === fret).length - 1),
+    stopped,
+  );
+}
+
+// How far the hand moves from one shape to the next.
+function movement(previous, frets) {
+  let distance = 0,
+    shared = 0,
+    changed = 0;
+  frets.forEach((fret, string) => {
+    const before = previous[string];
+    if (fret === null || before === null || before === undefined) {
+      if ((fret === null) !== (before === null)) changed++;
+      return;
+    }
+    distance += Math.abs(fret - before);
+    shared++;
+  });
+  return (
+    COST.movement * (shared ? distance / shared : 0) + COST.change * changed
+  );
+}
+
+// What a voicing costs, or `null` when it can't be played or doesn't spell
+// the chord. On a re-entrant tuning such as the ukulele's the lowest note
+// is often not the root, so only a slash chord's bass is held to.
+function scoreVoicing(frets, open, chord, previous) {
+  const sounding = frets.flatMap((fret, string) =>
+      fret === null ? [] : [open[string] + fret],
+    ),
+    reentrant = open.some((pitch, string) => pitch < open[string - 1]);
+  if (sounding.length < SOUNDING) return null;
+  if (
+    (!reentrant || chord.bass !== chord.root) &&
+    Math.min(...sounding) % 12 !== chord.bass
+  ) {
+    return null;
+  }
+  const present = new Set(
+    sounding.map((pitch) => (pitch - chord.root + 120) % 12),
+  );
+  if (
+    chord.intervals.some(
+      (interval) =>
+        !present.has(interval) && !chord.optional.includes(interval),
+    )
+  ) {
+    return null;
+  }
+
+  const first = frets.findIndex((fret) => fret !== null),
+    last =
+      frets.length -
+      1 -
+      [...frets].reverse().findIndex((fret) => fret !== null),
+    gaps = frets.slice(first, last + 1).filter((fret) => fret === null).length;
+  if (gaps > 1 || fingersNeeded(frets) > FINGERS) return null;
+
+  const stopped = frets.filter((fret) => fret > 0),
+    lowest = stopped.length ? Math.min(...stopped) : 0,
+    span = stopped.length ? Math.max(...stopped) - lowest : 0;
+  return (
+    COST.span * span +
+    COST.position * lowest +
+    // Open strings help by the nut; up the neck they ring apart from the
+    // shape.
+    COST.open *
+      frets.filter((fret) => fret === 0).length *
+      (lowest <= REACH ? 1 : -1) +
+    COST.muted * (frets.length - sounding.length) +
+    COST.gap * gaps +
+    COST.barre * findBarres(frets).length +
+    (previous ? movement(previous, frets) : 0)
+  );
+}
+
+/**
+ * Finds ways to play a chord, easiest first.
+ *
+ * Every shape within a hand's reach is tried at each position up the neck,
+ * open strings included. A voicing has to sound every note the name calls
+ * for but a plain fifth, with at most one muted string between sounding
+ * ones and no more notes than fingers once a barre is laid. Its lowest note
+ * has to be the chord's bass, except for a plain chord on a re-entrant
+ * tuning. A small fret span, open strings and a low position rank a
+ * voicing higher, as does staying close to the previous chord's shape.
+ *
+ * @param {string} name - e.g. `Dm♯5`, `Am/G`, `C△7`.
+ * @param {object} [options]
+ * @param {number[]} [options.tuning] - Open strings, top line first.
+ * @param {(number|null)[]} [options.previous] - The shape played before.
+ * @param {number} [options.limit] - How many voicings to return.
+ * @param {number} [options.highest] - Highest fret to reach for.
+ *
+ * @returns {{ frets: (number|null)[], cost: number }[]} Lowest string first,
+ *   like `parseShape`; empty when the name can't be read.
+ */
+export function findVoicings(
+  name,
+  { tuning = STANDARD_TUNING, previous = null, limit = 8, highest = 12 } = {},
+) {
+  const chord = chordTones(name);
+  if (!chord) return [];
+
+  const open = [...tuning].reverse(),
+    tones = new Set([
+      chord.bass,
+      ...chord.intervals.map((interval) => (chord.root + interval) % 12),
+    ]),
+    found = new Map();
+
+  for (let base = 1; base + REACH - 1 <= highest; base++) {
+    const choices = open.map((note) => {
+      const frets = [null];
+      if (tones.has(note % 12)) frets.push(0);
+      for (let fret = base; fret < base + REACH; fret++) {
+        if (tones.has((note + fret) % 12)) frets.push(fret);
+      }
+      return frets;
+    });
+
+    const walk = (frets) => {
+      if (frets.length === open.length) {
+        const key = formatShape(frets);
+        if (found.has(key)) return;
+        const cost = scoreVoicing(frets, open, chord, previous);
+        if (cost !== null) found.set(key, { frets, cost });
+        return;
+      }
+      choices[frets.length].forEach((fret) => walk([...frets, fret]));
+    };
+    walk([]);
+  }
+
+  return [...found.values()].sort((a, b) => a.cost - b.cost).slice(0, limit);
+}
@@ -0,0 +1,57 @@
+import { formatNote, parseHarmonicaTab } from "./parse";
+
+/**
+ * Rewrites every note of a harmonica tab through `write`, leaving lyrics and
+ * other text as they are.
+ *
+ * Everything on a line keeps its spacing: a note that grows pushes the rest
+ * of its line along by the difference, and one that shrinks pulls it back,
+ * so converting a tab and converting it back gives the text it came from.
+ *
+ * @param {string} source
+ * @param {(note: object, line: object) => string} write - Text for a note,
+ *   given the note and its line from `parseHarmonicaTab`.
+ *
+ * @returns {string}
+ */
+export function rewriteHarmonicaTab(source, write) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+
+  parseHarmonicaTab(source).lines.forEach((noteLine) => {
+    const tokens = [
+      ...noteLine.notes.map((note) => ({
+        column: note.column,
+        width: note.text.length,
+        text: write(note, noteLine),
+      })),
+      ...noteLine.marks.map((mark) => ({ ...mark, width: mark.text.length })),
+    ].sort((a, b) => a.column - b.column);
+
+    // How far the line so far ends from where it ended before.
+    let offset = 0;
+    lines[noteLine.line - 1] = tokens.reduce((text, token) => {
+      const start = Math.max(
+          token.column - 1 + offset,
+          text ? text.length + 1 : 0,
+        ),
+        written = text.padEnd(start) + token.text;
+      offset = written.length - (token.column - 1 + token.width);
+      return written;
+    }, "");
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Rewrites a harmonica tab in one notation, `signed` (`-4`) or `arrows`
+ * (`4↓`), whatever mix it was written in.
+ *
+ * @param {string} source
+ * @param {"signed"|"arrows"} notation
+ *
+ * @returns {string}
+ */
+export function convertHarmonicaTab(source, notation) {
+  return rewriteHarmonicaTab(source, (note) => formatNote(note, notation));
+}
@@ -0,0 +1,43 @@
+import { HARP_KEYS } from "./layout";
+
+/**
+ * Wires the harmonica controls: `.harmonica-notation` to show tab in, and
+ * `.harp-key`, `.harp-position` and `.song-key` to play it in. Empty
+ * choices keep what the tab was written for.
+ *
+ * @param {object} options
+ * @param {(notation: ""|"signed"|"arrows") => void} options.onNotation
+ * @param {(change: { harp: string, position: number, songKey: string }) => void} options.onHarpChange
+ *
+ * @returns {{ rhythm: () => "lyrics"|"grid" }} The `.harmonica-rhythm`
+ *   chosen to time notes by.
+ */
+export function createHarpControls({ onNotation, onHarpChange }) {
+  const harpSelects = document.querySelectorAll(".harp-key"),
+    positionSelects = document.querySelectorAll(".harp-position"),
+    songKeySelects = document.querySelectorAll(".song-key"),
+    rhythmSelects = document.querySelectorAll(".harmonica-rhythm");
+
+  document.querySelectorAll(".harmonica-notation").forEach((select) => {
+    select.addEventListener("change", (e) => onNotation(e.target.value));
+  });
+
+  [...harpSelects, ...songKeySelects].forEach((select) =>
+    HARP_KEYS.forEach((key) => select.append(new Option(key, key))),
+  );
+
+  const handleChange = () => {
+    onHarpChange({
+      harp: harpSelects[0]?.value || "",
+      position: Number(positionSelects[0]?.value) || 0,
+      songKey: songKeySelects[0]?.value || "",
+    });
+  };
+  [...harpSelects, ...positionSelects, ...songKeySelects].forEach((select) =>
+    select.addEventListener("change", handleChange),
+  );
+
+  return {
+    rhythm: () => rhythmSelects[0]?.value || "lyrics",
+  };
+}
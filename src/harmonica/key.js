@@ -0,0 +1,118 @@
+import { rewriteHarmonicaTab } from "./convert";
+import {
+  findNotes,
+  harpKeyFor,
+  notePitch,
+  notePitches,
+  pitchName,
+  readKey,
+  songKeyFor,
+} from "./layout";
+import { formatNote, parseHarmonicaTab } from "./parse";
+
+// Places a chord by its lowest hole, then checks the rest fall in line.
+function placeChord(pitches, holes, action, key) {
+  return findNotes(pitches[0], key)
+    .filter((note) => note.action === action && !note.bend && !note.overblow)
+    .map((note) => ({
+      ...note,
+      holes: holes.map((hole) => note.holes[0] + hole - holes[0]),
+    }))
+    .find((chord) =>
+      chord.holes.every(
+        (hole, i) => notePitch({ ...chord, holes: [hole] }, key) === pitches[i],
+      ),
+    );
+}
+
+/**
+ * Re-tabs a harmonica song for another harp, optionally transposing it.
+ *
+ * Each note is looked up on the new harp by pitch, taking the easiest way
+ * to play it: plain notes before bends, bends before overblows. The whole
+ * song moves by the octave that leaves the fewest notes out of reach.
+ * Notes the new harp can't play are written as their pitch in brackets,
+ * e.g. `[C#4]`, or a chord as all of its pitches, e.g. `[C4+E4+G4]`, and
+ * listed in `unplayable`.
+ *
+ * @param {string} source - Tab in signed or arrow notation.
+ * @param {{ from: string, to: string, semitones?: number }} options
+ *   `from` is the harp the tab is written for, `to` the one to play it on.
+ *
+ * @returns {{ text: string, octave: number, unplayable: { line: number, column: number, pitches: string[] }[] }}
+ *   `pitches` are the note's pitches on the new harp, or the note as
+ *   written if the old harp couldn't play it either.
+ */
+export function changeHarmonicaKey(source, { from, to, semitones = 0 }) {
+  const notes = parseHarmonicaTab(source).lines.flatMap((line) => line.notes);
+
+  const place = (note, shift) => {
+    const pitches = notePitches(note, from);
+    if (pitches.some((pitch) => pitch === null)) return null;
+    const target = pitches.map((pitch) => pitch + shift);
+    if (note.holes.length > 1) {
+      return placeChord(target, note.holes, note.action, to) || null;
+    }
+    return findNotes(target[0], to)[0] || null;
+  };
+
+  const octave = [0, -12, 12].reduce(
+    (best, candidate) => {
+      const missing = notes.filter(
+        (note) => !place(note, semitones + candidate),
+      ).length;
+      return missing < best.missing ? { candidate, missing } : best;
+    },
+    { candidate: 0, missing: Infinity },
+  ).candidate;
+
+  const shift = semitones + octave,
+    unplayable = [];
+
+  const text = rewriteHarmonicaTab(source, (note, line) => {
+    const placed = place(note, shift);
+    if (placed) {
+      return formatNote({ ...placed, optional: note.optional }, line.notation);
+    }
+
+    const pitches = notePitches(note, from),
+      names = pitches.includes(null)
+        ? [note.text]
+        : pitches.map((pitch) => pitchName(pitch + shift));
+    unplayable.push({ line: note.line, column: note.column, pitches: names });
+    return `[${names.join("+")}]`;
+  });
+
+  return { text, octave, unplayable };
+}
+
+/**
+ * Works out the harp and transposition for a change of harp, position or
+ * song key; the pieces left out stay as they were.
+ *
+ * Picking only a harp keeps the position, so the song moves with the harp.
+ * Picking a position or song key without a harp finds the harp for it.
+ *
+ * @param {{ harp: string, position: number }} written - How the tab is played.
+ * @param {{ harp?: string, position?: number, songKey?: string }} target
+ *
+ * @returns {{ from: string, to: string, semitones: number, songKey: string }}
+ */
+export function planHarpChange(written, target) {
+  const position = target.position || written.position,
+    fromSong = songKeyFor(written.harp, written.position),
+    songKey =
+      target.songKey ||
+      (target.harp ? songKeyFor(target.harp, position) : fromSong),
+    to = target.harp || harpKeyFor(songKey, position);
+
+  // The nearer way round; changeHarmonicaKey settles the octave.
+  const interval = (((readKey(songKey) - readKey(fromSong)) % 12) + 12) % 12;
+
+  return {
+    from: written.harp,
+    to,
+    semitones: interval > 6 ? interval - 12 : interval,
+    songKey,
+  };
+}
@@ -0,0 +1,176 @@
+import { SHARPS, pitchClass } from "../tabs/tuning";
+
+// A C harp in Richter tuning, holes 1-10, as MIDI note numbers.
+const C_BLOW = [60, 64, 67, 72, 76, 79, 84, 88, 91, 96];
+const C_DRAW = [62, 67, 71, 74, 77, 81, 83, 86, 89, 93];
+
+/**
+ * The twelve harp keys, lowest first: G to B sit below a C harp and Db to
+ * F# above it, as they are built.
+ */
+export const HARP_KEYS = [
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "F#",
+];
+
+// Semitones from the harp key up to the song key, by position.
+const POSITIONS = { 1: 0, 2: 7, 3: 2 };
+
+/**
+ * Reads the pitch class of a key name, e.g. `Bb` → 10.
+ */
+export function readKey(key) {
+  const match = String(key).match(/^([A-Ga-g])([#b♯♭]?)/);
+  if (!match) throw new RangeError(`Unknown key "${key}"`);
+  return pitchClass(match[1], match[2]);
+}
+
+/**
+ * Semitones a harp in `key` sits above (or below) a C harp.
+ */
+function offsetOf(key) {
+  const pc = readKey(key);
+  return pc > 6 ? pc - 12 : pc;
+}
+
+/**
+ * Names a pitch class as a harp key would be named, e.g. 8 → `Ab`.
+ */
+export function keyName(pc) {
+  return HARP_KEYS[(((pc - 7) % 12) + 12) % 12];
+}
+
+/**
+ * Names a MIDI note, e.g. 61 → `C#4`.
+ */
+export function pitchName(pitch) {
+  return `${SHARPS[((pitch % 12) + 12) % 12]}${Math.floor(pitch / 12) - 1}`;
+}
+
+/**
+ * Computes the note layout of a 10-hole Richter harp in a key.
+ *
+ * Each hole lists its blow and draw notes, the bends below whichever of the
+ * two is higher (draw bends on holes 1-6, blow bends on 7-10), and the
+ * overblow or overdraw a half step above the higher note.
+ *
+ * @param {string} key - e.g. `C`, `Bb`, `F#`.
+ *
+ * @returns {{ hole: number, blow: number, draw: number, bends: { action: string, bend: number, pitch: number }[], over: { action: string, pitch: number } }[]}
+ */
+export function harpLayout(key) {
+  const offset = offsetOf(key);
+
+  return C_BLOW.map((c, i) => {
+    const blow = c + offset,
+      draw = C_DRAW[i] + offset,
+      action = draw > blow ? "draw" : "blow",
+      high = Math.max(blow, draw),
+      bends = Array.from(
+        { length: Math.abs(draw - blow) - 1 },
+        (_value, bend) => ({ action, bend: bend + 1, pitch: high - bend - 1 }),
+      );
+
+    return {
+      hole: i + 1,
+      blow,
+      draw,
+      bends,
+      // The overblow is played against the lower reed: a blow on draw holes.
+      over: { action: action === "draw" ? "blow" : "draw", pitch: high + 1 },
+    };
+  });
+}
+
+/**
+ * The pitch a single-hole note sounds on a harp, or `null` if the hole
+ * can't make it (a bend deeper than the hole allows, say).
+ *
+ * @param {{ holes: number[], action: string, bend: number, overblow: boolean }} note
+ * @param {string} key
+ */
+export function notePitch(note, key) {
+  const hole = harpLayout(key)[note.holes[0] - 1];
+  if (!hole) return null;
+
+  if (note.overblow) {
+    return hole.over.action === note.action ? hole.over.pitch : null;
+  }
+  if (!note.bend) return hole[note.action];
+
+  const bend = hole.bends.find(
+    (b) => b.action === note.action && b.bend === note.bend,
+  );
+  return bend ? bend.pitch : null;
+}
+
+/**
+ * The pitches of every hole in a note, `null` where a hole can't make it.
+ * Chords are played unbent.
+ *
+ * @param {{ holes: number[], action: string, bend: number, overblow: boolean }} note
+ * @param {string} key
+ *
+ * @returns {(number|null)[]}
+ */
+export function notePitches(note, key) {
+  if (note.holes.length === 1) return [notePitch(note, key)];
+  return note.holes.map((hole) =>
+    notePitch({ ...note, holes: [hole], bend: 0, overblow: false }, key),
+  );
+}
+
+/**
+ * Every way a harp in `key` can play a pitch, easiest first: plain blow and
+ * draw notes, then bends, then overblows.
+ *
+ * @returns {{ holes: number[], action: string, bend: number, overblow: boolean }[]}
+ */
+export function findNotes(pitch, key) {
+  const found = [];
+
+  harpLayout(key).forEach(({ hole, blow, draw, bends, over }) => {
+    const note = (action, bend, overblow, effort) => ({
+      holes: [hole],
+      action,
+      bend,
+      overblow,
+      effort,
+    });
+    if (blow === pitch) found.push(note("blow", 0, false, 0));
+    if (draw === pitch) found.push(note("draw", 0, false, 0));
+    bends
+      .filter((b) => b.pitch === pitch)
+      .forEach((b) => found.push(note(b.action, b.bend, false, b.bend)));
+    if (over.pitch === pitch) found.push(note(over.action, 0, true, 3));
+  });
+
+  return found
+    .sort((a, b) => a.effort - b.effort)
+    .map(({ effort, ...note }) => note);
+}
+
+/**
+ * The song key a harp plays in a position: a C harp gives C in 1st, G in
+ * 2nd (cross harp) and D in 3rd.
+ */
+export function songKeyFor(harpKey, position) {
+  return keyName(readKey(harpKey) + POSITIONS[position]);
+}
+
+/**
+ * The harp to pick for a song key and position; the inverse of `songKeyFor`.
+ */
+export function harpKeyFor(songKey, position) {
+  return keyName(readKey(songKey) - POSITIONS[position]);
+}
@@ -0,0 +1,217 @@
+/**
+ * Harmonica tab comes in two notations, sometimes within one file:
+ *
+ * - `signed`: `4` blows hole 4, `-4` draws it, `-3'` bends the draw a
+ *   half step per `'`, `6o` overblows and `-345` plays a chord.
+ * - `arrows`: `4↑` blows, `4↓` draws, `345↓` plays a chord and `6d` bends
+ *   (draw on holes 1-6, blow on 7-10) a half step per `d`.
+ *
+ * In both, a note in parentheses such as `(-4)` is optional.
+ */
+
+const SIGNED_NOTE = /^\(?([+-]?)(\d+)('*)(o?)\)?$/;
+const ARROW_NOTE = /^\(?(\d+)(?:([↑↓])('*)|(d+))?(o?)\)?$/;
+
+// `3 ↑` is written with a space now and then; join it before splitting.
+const ARROW_GAP = /(\d)\s+(?=[↑↓])/g;
+
+const KEY_LINE = /^\s*([A-G][#b♯♭]?)\s*$/;
+
+/**
+ * Reads the holes of a note: `10` and below is one hole, anything longer is
+ * a chord written hole by hole, as in `345` or `910`.
+ */
+function holesOf(digits) {
+  if (Number(digits) >= 1 && Number(digits) <= 10) return [Number(digits)];
+  return (digits.match(/10|[1-9]/g) || []).map(Number);
+}
+
+/**
+ * Parses one harmonica note in either notation.
+ *
+ * @param {string} token - e.g. `-4`, `(-4)`, `-3''`, `6o`, `345↓`, `6d`.
+ * @param {"signed"|"arrows"} notation
+ *
+ * @returns {{ holes: number[], action: "blow"|"draw", bend: number, overblow: boolean, optional: boolean }|null}
+ *   `overblow` on a draw note is an overdraw. `null` if it isn't a note.
+ */
+export function parseNote(token, notation) {
+  const optional = /^\(.*\)$/.test(token);
+
+  if (notation === "arrows") {
+    const match = token.match(ARROW_NOTE);
+    if (!match || (!match[2] && !match[4])) return null;
+    const [, digits, arrow, marks, bends, over] = match,
+      holes = holesOf(digits);
+    if (!holes.length) return null;
+
+    const action = arrow
+      ? arrow === "↑"
+        ? "blow"
+        : "draw"
+      : holes[0] <= 6
+        ? "draw"
+        : "blow";
+    return {
+      holes,
+      action,
+      bend: arrow ? marks.length : bends.length,
+      overblow: over === "o",
+      optional,
+    };
+  }
+
+  const match = token.match(SIGNED_NOTE);
+  if (!match) return null;
+  const [, sign, digits, marks, over] = match,
+    holes = holesOf(digits);
+  if (!holes.length) return null;
+
+  return {
+    holes,
+    action: sign === "-" ? "draw" : "blow",
+    bend: marks.length,
+    overblow: over === "o",
+    optional,
+  };
+}
+
+/**
+ * Writes a note in the given notation; the inverse of `parseNote`.
+ */
+export function formatNote(note, notation) {
+  const holes = note.holes.join(""),
+    over = note.overblow ? "o" : "";
+  let text;
+
+  if (notation === "arrows") {
+    const impliedBend = note.holes[0] <= 6 ? "draw" : "blow";
+    text =
+      note.bend && note.action === impliedBend
+        ? `${holes}${"d".repeat(note.bend)}${over}`
+        : `${holes}${note.action === "blow" ? "↑" : "↓"}${"'".repeat(note.bend)}${over}`;
+  } else {
+    text = `${note.action === "draw" ? "-" : ""}${holes}${"'".repeat(note.bend)}${over}`;
+  }
+
+  return note.optional ? `(${text})` : text;
+}
+
+/**
+ * Works out which notation a line is written in, or `null` for a line with
+ * no notes at all.
+ */
+function notationOf(text) {
+  if (/[↑↓]|\d+d\b/.test(text)) return "arrows";
+  return /(^|\s)\(?[+-]?\d/.test(text) ? "signed" : null;
+}
+
+/**
+ * Splits a line into tokens with their 1-based columns.
+ */
+function tokensOf(text, notation) {
+  // Fill the gap in `3 ↑` with placeholders, so it splits as one token
+  // while every column stays where it was.
+  const joined =
+    notation === "arrows"
+      ? text.replace(ARROW_GAP, (match, digit) =>
+          digit.padEnd(match.length, "\u0000"),
+        )
+      : text;
+
+  return [...joined.matchAll(/\S+/g)].map((match) => ({
+    text: match[0].replace(/\u0000/g, ""),
+    source: text.slice(match.index, match.index + match[0].length),
+    column: match.index + 1,
+  }));
+}
+
+/**
+ * Reads a line of notes, or returns `null` when the line isn't one.
+ *
+ * A line counts as notes when most of its tokens are notes; anything else on
+ * it (a stray chord letter, say) is kept as a mark so it survives conversion.
+ */
+function parseNoteLine(text, lineNumber) {
+  const notation = notationOf(text);
+  if (!notation) return null;
+
+  const notes = [],
+    marks = [];
+  tokensOf(text, notation).forEach((token) => {
+    const note = parseNote(token.text, notation);
+    if (note) {
+      notes.push({
+        ...note,
+        text: token.source,
+        line: lineNumber,
+        column: token.column,
+      });
+    } else {
+      marks.push({ text: token.source, column: token.column });
+    }
+  });
+
+  if (!notes.length || marks.length >= notes.length) return null;
+  return { line: lineNumber, notation, notes, marks, lyrics: null };
+}
+
+/**
+ * Parses a harmonica tab in signed (`.tab`) or arrow (`.tak`) notation.
+ *
+ * Lines of notes are paired with the line of lyrics directly below them.
+ * Text before the first note line gives the title, and a line holding only
+ * a note name (`C`) gives the key of the harp.
+ *
+ * @param {string} source
+ *
+ * @returns {{ title: string|null, key: string|null, notation: "signed"|"arrows"|"mixed"|null, lines: object[], text: object[] }}
+ *   `lines` holds the note lines in order; `text` every other non-blank line.
+ */
+export function parseHarmonicaTab(source) {
+  const model = {
+    title: null,
+    key: null,
+    notation: null,
+    lines: [],
+    text: [],
+  };
+  let previous = null;
+
+  source
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((text, i) => {
+      const lineNumber = i + 1,
+        key = text.match(KEY_LINE),
+        notes = !key && parseNoteLine(text, lineNumber);
+
+      if (text.trim() === "") {
+        previous = null;
+      } else if (key && !model.key) {
+        model.key = key[1];
+        previous = null;
+      } else if (notes) {
+        model.lines.push(notes);
+        previous = notes;
+      } else {
+        const line = {
+          text: text.trim(),
+          line: lineNumber,
+          column: text.search(/\S/) + 1,
+        };
+        if (previous && !previous.lyrics) {
+          previous.lyrics = line;
+        } else if (!model.lines.length && model.title === null) {
+          model.title = line.text;
+        }
+        model.text.push(line);
+        previous = null;
+      }
+    });
+
+  const notations = new Set(model.lines.map((line) => line.notation));
+  model.notation =
+    notations.size > 1 ? "mixed" : notations.values().next().value || null;
+  return model;
+}
@@ -1,3 +1,30 @@
+import { createMetronomeControls } from "./audio/metronome-controls";
+import { wireChordPro } from "./chords/chordpro-controls";
+import { createVoicingControls } from "./chords/voicing-controls";
+import { createHarpControls } from "./harmonica/harp-controls";
+import { buildManifest } from "./library/manifest";
+import {
+  importedEntry,
+  loadImportedSongs,
+  saveImportedSong,
+} from "./library/imported";
+import { createLibraryView } from "./library/view";
+import { parseTimeSignature } from "./reader/autoplay";
+import { createAutoplayControls } from "./reader/autoplay-controls";
+import { createBackingControls } from "./reader/backing-controls";
+import { clearKaraoke, createKaraokeFollower } from "./reader/karaoke";
+import { createListener } from "./reader/listen";
+import { createLoopControls } from "./reader/loop-controls";
+import { createLyricsMode } from "./reader/lyrics-controls";
+import { createSongView } from "./reader/song";
+import { measuresOf, showPlayhead } from "./reader/staff";
+import { createTakeControls } from "./reader/take-controls";
+import { wireTransposition } from "./tabs/transpose-controls";
+import { parseTuning } from "./tabs/tuning";
+import { createTapControls } from "./tempo/tap-controls";
+
+const DEFAULT_SONG = "Tabs/Moonlight Sonata_/Moonlight Sonata: Movement 1.tab";
+
 // ==========================================================================
 // tab-focus.js
 // Detect keyboard tabbing
@@ -187,6 +214,32 @@
 
   const [bpm, setBpm, subscribeBpm, destroyBpm] = useState(100);
 
+  const [
+    timeSignature,
+    setTimeSignature,
+    subscribeTimeSignature,
+    destroyTimeSignature,
+  ] = useState("4/4");
+
+  const [song, setSong, subscribeSong, destroySong] = useState(null);
+
+  const [
+    transposition,
+    setTransposition,
+    subscribeTransposition,
+    destroyTransposition,
+  ] = useState({ semitones: 0, capo: 0, tuning: "", instrument: "" });
+
+  const [
+    harmonicaNotation,
+    setHarmonicaNotation,
+    subscribeHarmonicaNotation,
+    destroyHarmonicaNotation,
+  ] = useState("");
+
+  const [harpChange, setHarpChange, subscribeHarpChange, destroyHarpChange] =
+    useState({ harp: "", position: 0, songKey: "" });
+
   const [
     tabbableElements,
     setTabbableElements,
@@ -204,15 +257,48 @@
     console.log(`${args}`, args[0] ? [...args] : args);
   };
 
+  // Module code runs in strict mode, so globals have to be declared.
+  let chalk;
+
   document.addEventListener("DOMContentLoaded", async () => {
     if (typeof window !== "undefined") {
       chalk = window.chalk;
     }
 
-    const contentTags = document.querySelectorAll("pre > div.content");
-    contentTags[0].focus();
-
     const scrollContainer = document.querySelector("#scroll-container");
+    const library = [
+      ...buildManifest(),
+      ...loadImportedSongs().map(importedEntry),
+    ].sort((a, b) => a.title.localeCompare(b.title));
+
+    let contentTags = document.querySelectorAll("pre > div.content");
+
+    // The state getters are subscriptions, so keep plain copies to read from.
+    let currentPageIndex = 0,
+      currentBpm = 100,
+      currentTimeSignature = parseTimeSignature("4/4"),
+      currentSong = DEFAULT_SONG,
+      currentTransposition = {
+        semitones: 0,
+        capo: 0,
+        tuning: "",
+        instrument: "",
+      },
+      currentHarmonicaNotation = "",
+      currentHarpChange = { harp: "", position: 0, songKey: "" };
+
+    const songView = createSongView({
+      container: scrollContainer,
+      library,
+      getTransposition: () => currentTransposition,
+      getHarmonicaNotation: () => currentHarmonicaNotation,
+      getHarpChange: () => currentHarpChange,
+      getBeatsPerMeasure: () => currentTimeSignature.beats,
+      onRender: () => {
+        contentTags = songView.pages();
+        indexPages();
+      },
+    });
 
     function elementHasPageIndex(el) {
       return el.hasAttribute("data-page-index");
@@ -228,18 +314,302 @@
     const tabbableElements = tabbable();
     setTabbableElements(tabbableElements);
 
-    contentTags.forEach((el, index) => {
-      // console.log("Content tag:", el, index);
-      if (elementHasPageIndex(el)) {
-        if (el.tabIndex === 0) {
-          // TODO: Nothing. It's unreachable.
-          // It's either -1 or 0. Docs:
-          // https://developer.mozilla.org/en-US/docs/Web/HTML/Global_attributes/tabindex
-          // console.log("Setting page index:", el, index);
-          el.dataset.pageIndex = index + 1; // This is how you define it without React...
-          el.addEventListener("mouseover", (e) => mouseoverHandler(e.target));
+    // Pages survive a song change (the controls page) so only listen once.
+    const indexedPages = new WeakSet();
+
+    function indexPages() {
+      contentTags.forEach((el, index) => {
+        // console.log("Content tag:", el, index);
+        if (elementHasPageIndex(el)) {
+          if (el.tabIndex === 0) {
+            // TODO: Nothing. It's unreachable.
+            // It's either -1 or 0. Docs:
+            // https://developer.mozilla.org/en-US/docs/Web/HTML/Global_attributes/tabindex
+            // console.log("Setting page index:", el, index);
+            el.dataset.pageIndex = index + 1; // This is how you define it without React...
+            if (!indexedPages.has(el)) {
+              indexedPages.add(el);
+              el.addEventListener("mouseover", (e) =>
+                mouseoverHandler(e.target),
+              );
+            }
+          }
         }
-      }
+      });
+    }
+
+    songView.render(library.find((entry) => entry.id === DEFAULT_SONG));
+    contentTags[0].focus();
+
+    function showLibrary() {
+      document
+        .querySelector("#library")
+        ?.replaceChildren(createLibraryView(library, { onOpen: setSong }));
+    }
+    showLibrary();
+
+    function goToPage(index) {
+      const page = _.clamp(index, 0, contentTags.length - 1);
+      // State updates land on the next tick; repeated clicks count from here.
+      currentPageIndex = page;
+      setActivePageIndex(page);
+      centerElement(contentTags[page]);
+    }
+
+    const currentPage = () => contentTags[currentPageIndex];
+
+    // Browsers only let audio start from a user gesture, so make it late.
+    let audioContext;
+    function getAudioContext() {
+      audioContext = audioContext || new AudioContext();
+      audioContext.resume();
+      return audioContext;
+    }
+
+    const harp = createHarpControls({
+      onNotation: setHarmonicaNotation,
+      onHarpChange: setHarpChange,
+    });
+    wireTransposition({ onChange: setTransposition });
+
+    // Harmonica pages play on the harp they're shown for, in the rhythm
+    // chosen; anything else plays as guitar tab.
+    const playOptions = () =>
+      songView.entry().instrument === "harmonica"
+        ? {
+            harp: songView.harpPlanOf(songView.entry()).to,
+            rhythm: harp.rhythm(),
+          }
+        : {};
+
+    const follower = createKaraokeFollower(scrollContainer);
+
+    const takes = createTakeControls({
+      getDetails: () => ({
+        song: currentSong,
+        bpm: currentBpm,
+        timeSignature: `${currentTimeSignature.beats}/${currentTimeSignature.unit}`,
+        page: currentPageIndex,
+      }),
+    });
+
+    const tapTempo = createTapControls({
+      getContext: getAudioContext,
+      getBpm: () => currentBpm,
+      setBpm,
+      onTap: takes.tap,
+    });
+
+    const autoplay = createAutoplayControls({
+      container: scrollContainer,
+      getPages: () => contentTags,
+      sourceOf: songView.sourceOf,
+      getPageIndex: () => currentPageIndex,
+      getBpm: () => currentBpm,
+      getBeatsPerMeasure: () => currentTimeSignature.beats,
+      goToPage,
+      // A click on a page also takes the backing track to that page's marker.
+      onCue: (index, measure) => backing.seek(index, measure),
+    });
+
+    const listener = createListener({
+      getContext: getAudioContext,
+      getPage: () => ({
+        page: currentPage(),
+        text: songView.sourceOf(currentPage()),
+        options: {
+          ...playOptions(),
+          bpm: currentBpm,
+          beatsPerMeasure: currentTimeSignature.beats,
+          from: autoplay.cuedBeat(),
+        },
+      }),
+      follower,
+    });
+
+    // Markers follow the track: each turns to its page, and to its measure
+    // when it names one.
+    const backing = createBackingControls({
+      getContext: getAudioContext,
+      getBpm: () => currentBpm,
+      setBpm,
+      getSong: () => currentSong,
+      getCue: () => ({
+        page: currentPageIndex,
+        measure:
+          currentPage()?.querySelector("span.measure.playhead")?.dataset
+            .measure ?? null,
+      }),
+      onMarker: ({ page, measure }) => {
+        if (!contentTags[page]) return;
+        goToPage(page);
+        const start = measuresOf(
+          contentTags[page],
+          currentTimeSignature.beats,
+        ).find(({ key }) => key === measure)?.start;
+        if (start !== undefined) {
+          showPlayhead(contentTags[page], start, currentTimeSignature.beats);
+        }
+      },
+    });
+    backing.open(currentSong);
+
+    // With the metronome on, the karaoke cursor takes a harmonica page a
+    // beat at a time from the top, to the rhythm playback would give it.
+    const metronome = createMetronomeControls({
+      getContext: getAudioContext,
+      getBpm: () => currentBpm,
+      getTimeSignature: () => currentTimeSignature,
+      getPage: currentPage,
+      onBeat: (page, beat) => {
+        if (
+          songView.entry().instrument !== "harmonica" ||
+          listener.isPlaying()
+        ) {
+          return;
+        }
+        follower.beat(page, songView.sourceOf(page), beat, harp.rhythm());
+      },
+      onChange: (running) => {
+        if (!running && !listener.isPlaying()) clearKaraoke(scrollContainer);
+      },
+    });
+
+    const lyrics = createLyricsMode({
+      container: scrollContainer,
+      getBpm: () => currentBpm,
+      setBpm,
+      getBeatsPerMeasure: () => currentTimeSignature.beats,
+      getPage: currentPage,
+      onStart: (page) => {
+        autoplay.stop();
+        if (page) centerElement(page);
+      },
+    });
+
+    const loop = createLoopControls({
+      getPageIndex: () => currentPageIndex,
+      getPage: (index) => contentTags[index],
+      sourceOf: songView.sourceOf,
+      getEntry: songView.entry,
+      getBpm: () => currentBpm,
+      setBpm,
+      getBeatsPerMeasure: () => currentTimeSignature.beats,
+      goToPage,
+      getContext: getAudioContext,
+      getPlayOptions: playOptions,
+      follower,
+      metronome,
+      getSessions: () => tapTempo.sessions(),
+      onSession: (session) =>
+        tapTempo.record({ ...session, song: currentSong }),
+      onStart: () => {
+        listener.stop();
+        autoplay.stop();
+      },
+    });
+
+    // Redraws the song open with the settings as they are now, on the same
+    // page.
+    function redraw() {
+      const page = currentPageIndex;
+      autoplay.stop();
+      songView.render(songView.entry());
+      goToPage(page);
+    }
+
+    // Picking a guitar voicing saves it to the chord sheet, which the song
+    // is drawn again from.
+    const voicings = createVoicingControls({
+      chordSheet: songView.chordSheet,
+      getTuning: () => parseTuning(currentTransposition.tuning),
+      onSave: () => {
+        songView.loadChordBook();
+        redraw();
+      },
+    });
+
+    wireChordPro({
+      readChordPro: songView.readChordPro,
+      getEntry: songView.entry,
+      getSemitones: () =>
+        currentTransposition.semitones - currentTransposition.capo,
+      // An imported song joins the library, in place of one of its title.
+      onImport: ({ title, source }) => {
+        const entry = importedEntry({ title, source }),
+          at = library.findIndex((other) => other.id === entry.id);
+        saveImportedSong({ title, source });
+        if (at >= 0) library.splice(at, 1);
+        library.push(entry);
+        library.sort((a, b) => a.title.localeCompare(b.title));
+        showLibrary();
+        setSong(entry);
+      },
+    });
+
+    subscribeSong((entry) => {
+      currentSong = entry.id;
+      autoplay.stop();
+      listener.stop();
+      backing.open(currentSong);
+      loop.reset();
+      songView.render(entry);
+      setActivePageIndex(1);
+      centerElement(contentTags[1] || contentTags[0]);
+    });
+    subscribeActivePageIndex((index) => {
+      currentPageIndex = index;
+      takes.turn(index);
+      // Turning to another page carries on scrolling there.
+      lyrics.follow(contentTags[index]);
+    });
+    subscribeBpm((next) => {
+      currentBpm = Number(next) || currentBpm;
+      metronome.retime();
+      // Typing into one input updates the other; the typed one keeps focus.
+      document.querySelectorAll(".bpm-input").forEach((input) => {
+        if (input !== document.activeElement) input.value = currentBpm;
+      });
+    });
+    subscribeTimeSignature((next) => {
+      currentTimeSignature = parseTimeSignature(next);
+      metronome.retime();
+    });
+    subscribeTransposition((next) => {
+      currentTransposition = next;
+      redraw();
+      voicings.refresh();
+    });
+    subscribeHarmonicaNotation((next) => {
+      currentHarmonicaNotation = next;
+      redraw();
+    });
+    subscribeHarpChange((next) => {
+      currentHarpChange = next;
+      redraw();
+    });
+
+    // Page 0 holds these controls, so "first" is the song's first page.
+    const transport = {
+      first: () => goToPage(1),
+      previous: () => goToPage(currentPageIndex - 1),
+      next: () => goToPage(currentPageIndex + 1),
+      last: () => goToPage(contentTags.length - 1),
+      play: autoplay.toggle,
+      listen: listener.toggle,
+      record: takes.toggle,
+    };
+
+    document.querySelectorAll("[data-transport]").forEach((button) => {
+      button.addEventListener("click", () =>
+        transport[button.dataset.transport](),
+      );
+    });
+
+    document.querySelectorAll(".time-signature").forEach((select) => {
+      select.addEventListener("change", (e) =>
+        setTimeSignature(e.target.value),
+      );
     });
 
     // Future Gist
@@ -279,6 +649,11 @@
         return 0;
       }
 
+      // Let the library search and other fields take their own keys.
+      if (e.target.matches?.("input, textarea, select")) {
+        return 0;
+      }
+
       console.log(`Pressed: %c${e.key}`, "color: greenyellow");
       console.log(e);
 
@@ -286,6 +661,40 @@
         console.log("Click..");
         document.querySelector("#bpm-btn").click();
       }
+
+      if (e.key === "m" && !e.metaKey) {
+        metronome.toggle();
+      }
+
+      // In lyrics mode Space pauses the scrolling instead of turning.
+      if (e.key === " " && lyrics.isOn()) {
+        e.preventDefault();
+        lyrics.pause();
+        return 0;
+      }
+
+      const loopKeys = {
+        "[": () => loop.setPoint("a"),
+        "]": () => loop.setPoint("b"),
+        p: loop.toggle,
+        x: loop.miss,
+      };
+      if (loopKeys[e.key] && !e.metaKey) {
+        loopKeys[e.key]();
+      }
+
+      const transportKeys = {
+        "<": "first",
+        ",": "previous",
+        a: "play",
+        r: "record",
+        l: "listen",
+        ".": "next",
+        ">": "last",
+      };
+      if (transportKeys[e.key] && !e.metaKey) {
+        transport[transportKeys[e.key]]();
+      }
       // const activePageIndex = await getActivePageIndex();
       let expected;
       if ([" ", "Enter", "Tab"].includes(e.key)) {
@@ -341,6 +750,12 @@
     })();
 
     scrollContainer.addEventListener("wheel", async (e) => {
+      if (lyrics.isOn()) {
+        e.preventDefault();
+        lyrics.nudge(e);
+        return;
+      }
+
       let override = false;
       // e.preventDefault();
       // e.stopImmediatePropagation();
@@ -358,7 +773,7 @@
       setMomentum(momentum + delta);
       console.log("Momentum: ", momentum + delta);
 
-      scrollableArea = target.clientHeight + target.scrollTop;
+      const scrollableArea = target.clientHeight + target.scrollTop;
 
       if (momentum >= scrollableArea || delta >= scrollableArea) {
         override = true;
@@ -393,9 +808,10 @@
         if (mutation.type === "childList") {
           console.log("A child node has been added or removed.", mutation);
         } else if (mutation.type === "attributes") {
+          // Only the focused page is active; `data-page-index` counts from 1.
           const index = Number(target.dataset?.pageIndex);
-          if (!!index) {
-            setActivePageIndex(index);
+          if (!!index && target === document.activeElement) {
+            setActivePageIndex(index - 1);
           }
 
           console.log(
@@ -416,57 +832,12 @@
 
     document.querySelectorAll(".bpm-input").forEach((input) => {
       input.addEventListener("change", handleChange);
+      if (input.type !== "range") return;
+      // The slider retimes as it moves, so lyrics keep up while dragging;
+      // the backing track follows it once let go.
+      input.addEventListener("input", handleChange);
     });
 
-    // Maybe needs to be immutable
-    let oneMinute = 1000 * 60,
-      inTime = Date.now(0),
-      sessions = [],
-      currentSession = [];
-
-    function measureBpm() {
-      if (inTime === 0) {
-        inTime = Date.now();
-        currentSession.push(inTime);
-      } else {
-        const now = Date.now();
-        currentSession.push(now);
-      }
-      const taps = currentSession.length,
-        outTime = currentSession[taps - 1],
-        diffInMs = outTime - inTime,
-        factorial = oneMinute / diffInMs,
-        bpm = taps * factorial;
-
-      setTimeout(() => {
-        const taps = currentSession.length;
-        const now = Date.now();
-        if (now - currentSession[taps - 1] > 5000) {
-          updateBpm(bpm);
-          sessions.push(bpm);
-          inTime = Date.now(0);
-          currentSession.length = 0;
-          taps.length = 0;
-        }
-      }, 5000);
-
-      return bpm;
-    }
-
-    function updateBpm(newBpm) {
-      document.querySelectorAll(".bpm-input").forEach((input) => {
-        input.removeEventListener("change", handleChange);
-        setBpm(newBpm);
-        input.addEventListener("change", handleChange);
-      });
-    }
-
-    function handleClick() {
-      const bpm = measureBpm();
-      setBpm(bpm);
-      document.getElementById("bpm-monitor").innerText = bpm;
-    }
-    document.querySelector("#bpm-btn").addEventListener("click", handleClick);
     console.log("Added!");
   });
 })();
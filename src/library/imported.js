@@ -0,0 +1,46 @@
+const STORAGE_KEY = "imported-songs";
+
+/**
+ * Reads the songs imported in this browser, as ChordPro, oldest first.
+ *
+ * @returns {{ title: string, source: string }[]}
+ */
+export function loadImportedSongs() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Saves an imported song, in place of one imported under the same title.
+ *
+ * @param {{ title: string, source: string }} song - `source` in ChordPro.
+ *
+ * @returns {object[]} Every imported song.
+ */
+export function saveImportedSong(song) {
+  const songs = [
+    ...loadImportedSongs().filter((saved) => saved.title !== song.title),
+    song,
+  ];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(songs));
+  return songs;
+}
+
+/**
+ * Turns an imported song into a library entry, like those `buildManifest`
+ * lists.
+ */
+export function importedEntry({ title, source }) {
+  const path = `Imported/${title}.cho`;
+  return {
+    id: path,
+    path,
+    title,
+    instrument: "vocals",
+    format: "chordpro",
+    read: () => source,
+  };
+}
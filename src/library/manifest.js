@@ -0,0 +1,170 @@
+import { chordProPages, parseChordPro } from "../chords/chordpro";
+import {
+  INSTRUMENTS as FRETTED_INSTRUMENTS,
+  detectInstrument,
+} from "../tabs/instruments";
+import { listTabs, readTab } from "../tabs/load";
+import { splitPages } from "../tabs/pages";
+
+// The manifest is generated at build time: webpack expands each context
+// below into the list of files it matched, so new songs are picked up on the
+// next build without touching this module.
+const harmonicaFiles = require.context(
+  "../../Harmonica/Harmonica Tabs",
+  false,
+  /\.ta[bk]$/,
+);
+const lyricFiles = require.context("../../Lyrics", true, /\.txt$/);
+const chordProFiles = require.context(
+  "../../Lyrics",
+  true,
+  /\.(cho|chopro|chordpro)$/,
+);
+const chordFiles = require.context("../../Tabs", true, /\.md$/);
+
+// Fretted instruments go by their name without the tuning, e.g. `Ukulele`.
+export const INSTRUMENTS = {
+  ...Object.fromEntries(
+    Object.entries(FRETTED_INSTRUMENTS).map(([id, { name }]) => [
+      id,
+      name.replace(/ \(.*\)$/, ""),
+    ]),
+  ),
+  harmonica: "Harmonica",
+  vocals: "Vocals",
+};
+
+export const FORMATS = {
+  tab: "Tab",
+  tak: "Arrow tab",
+  lyrics: "Lyrics",
+  chordpro: "Lyrics & chords",
+  chords: "Chord shapes",
+};
+
+function titleOf(path) {
+  return path
+    .split("/")
+    .pop()
+    .replace(/\.[^.]+$/, "");
+}
+
+function extensionOf(path) {
+  return path.split(".").pop().toLowerCase();
+}
+
+function fromContext(context, folder, describe) {
+  return context.keys().map((key) => {
+    const path = `${folder}/${key.replace(/^\.\//, "")}`;
+    return {
+      id: path,
+      path,
+      title: titleOf(path),
+      ...describe(path),
+      read: () => context(key),
+    };
+  });
+}
+
+/**
+ * Splits a chord sheet such as `Open Chords.md` into one page per `## Name`.
+ */
+function splitChordSheet(source) {
+  return source
+    .split(/^(?=## )/m)
+    .map((text) => text.trim())
+    .filter((text) => text.startsWith("## "))
+    .map((text) => ({
+      section: null,
+      chords: text.slice(3).split("\n")[0].trim(),
+      text,
+    }));
+}
+
+/**
+ * Builds the library manifest.
+ *
+ * @returns {{ id: string, path: string, title: string, instrument: string, format: string, read: () => string }[]}
+ *   One entry per song, sorted by title.
+ */
+export function buildManifest() {
+  const tabs = listTabs().map((key) => ({
+    id: `Tabs/${key}`,
+    path: `Tabs/${key}`,
+    title: titleOf(key),
+    instrument: detectInstrument(readTab(key)).id,
+    format: "tab",
+    read: () => readTab(key),
+  }));
+
+  return [
+    ...tabs,
+    ...fromContext(harmonicaFiles, "Harmonica/Harmonica Tabs", (path) => ({
+      instrument: "harmonica",
+      format: extensionOf(path),
+    })),
+    ...fromContext(lyricFiles, "Lyrics", () => ({
+      instrument: "vocals",
+      format: "lyrics",
+    })),
+    ...fromContext(chordProFiles, "Lyrics", () => ({
+      instrument: "vocals",
+      format: "chordpro",
+    })),
+    ...fromContext(chordFiles, "Tabs", () => ({
+      instrument: "guitar",
+      format: "chords",
+    })),
+  ].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Filters manifest entries by a search query, instrument and format.
+ *
+ * The query matches titles and paths first and falls back to the song text,
+ * so a lyric line finds its song. Empty criteria match everything.
+ *
+ * @param {object[]} entries - Entries from `buildManifest`.
+ * @param {{ query?: string, instrument?: string, format?: string }} criteria
+ */
+export function filterManifest(
+  entries,
+  { query = "", instrument = "", format = "" },
+) {
+  const needle = query.trim().toLowerCase();
+
+  return entries.filter((entry) => {
+    if (instrument && entry.instrument !== instrument) return false;
+    if (format && entry.format !== format) return false;
+    if (!needle) return true;
+    return (
+      entry.path.toLowerCase().includes(needle) ||
+      entry.read().toLowerCase().includes(needle)
+    );
+  });
+}
+
+/**
+ * Splits a manifest entry into reader pages.
+ *
+ * Tabs break at their `(n.) ___` section headers, chord sheets at each
+ * shape and ChordPro songs at each section, with their chords written over
+ * the lyrics; lyrics and harmonica tabs open as a single page, harmonica
+ * pages marked `harmonica` so their notes are paired with the lyrics. A
+ * ChordPro song that can't be read opens as written.
+ */
+export function pagesOf(entry) {
+  const source = entry.read();
+  if (entry.format === "chords") return splitChordSheet(source);
+  if (entry.instrument === "harmonica") {
+    return splitPages(source).map((page) => ({ ...page, harmonica: true }));
+  }
+  if (entry.format === "chordpro") {
+    try {
+      return chordProPages(parseChordPro(source));
+    } catch (error) {
+      if (error.name !== "ChordProSyntaxError") throw error;
+    }
+  }
+  return splitPages(source);
+}
@@ -0,0 +1,81 @@
+import { FORMATS, INSTRUMENTS, filterManifest } from "./manifest";
+
+function createSelect(label, options) {
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", label);
+  select.append(new Option(`All ${label.toLowerCase()}s`, ""));
+  Object.entries(options).forEach(([value, text]) => {
+    select.append(new Option(text, value));
+  });
+  return select;
+}
+
+/**
+ * Builds the library browser: a search box, instrument and format filters,
+ * and a list of songs that calls `onOpen` with the chosen manifest entry.
+ *
+ * @param {object[]} entries - Entries from `buildManifest`.
+ * @param {{ onOpen: (entry: object) => void }} options
+ *
+ * @returns {HTMLElement}
+ */
+export function createLibraryView(entries, { onOpen }) {
+  const root = document.createElement("div"),
+    search = document.createElement("input"),
+    instrument = createSelect("Instrument", INSTRUMENTS),
+    format = createSelect("Format", FORMATS),
+    list = document.createElement("ul");
+
+  root.className = "sans-serif flex flex-col gap-y-4 whitespace-normal w-full";
+  search.type = "search";
+  search.placeholder = "Search songs, lyrics, paths...";
+  list.className = "flex flex-col gap-y-2 list-none p-0 m-0";
+
+  function render() {
+    const matches = filterManifest(entries, {
+      query: search.value,
+      instrument: instrument.value,
+      format: format.value,
+    });
+
+    list.replaceChildren(
+      ...matches.map((entry) => {
+        const item = document.createElement("li"),
+          button = document.createElement("button"),
+          meta = document.createElement("small");
+
+        button.type = "button";
+        button.className = "action text-left w-full";
+        button.textContent = entry.title;
+        button.title = entry.path;
+        meta.className = "block opacity-75";
+        meta.textContent = `${INSTRUMENTS[entry.instrument]} · ${
+          FORMATS[entry.format]
+        }`;
+        button.append(meta);
+        button.addEventListener("click", () => onOpen(entry));
+
+        item.append(button);
+        return item;
+      }),
+    );
+
+    if (!matches.length) {
+      const empty = document.createElement("li");
+      empty.textContent = "No songs match.";
+      list.append(empty);
+    }
+  }
+
+  search.addEventListener("input", _.debounce(render, 150));
+  instrument.addEventListener("change", render);
+  format.addEventListener("change", render);
+
+  const filters = document.createElement("div");
+  filters.className = "flex gap-x-2";
+  filters.append(instrument, format);
+
+  root.append(search, filters, list);
+  render();
+  return root;
+}
@@ -0,0 +1,96 @@
+import { countBeats, createAutoAdvance } from "./autoplay";
+import { clearPlayhead, measuresOf, showPlayhead } from "./staff";
+
+/**
+ * Plays the deck from the `[data-transport="play"]` buttons, which stay
+ * pressed while it plays: a count-in, then a playhead through the measures,
+ * turning each page as it runs out of beats.
+ *
+ * Clicking a measure cues it, and playback picks up from there; while
+ * playing, the click moves the playhead there instead.
+ *
+ * @param {object} options
+ * @param {HTMLElement} options.container - The `#scroll-container` element.
+ * @param {() => NodeListOf<HTMLElement>} options.getPages - The deck.
+ * @param {(page: HTMLElement) => string} options.sourceOf - A page's text.
+ * @param {() => number} options.getPageIndex - The page in view.
+ * @param {() => number} options.getBpm
+ * @param {() => number} options.getBeatsPerMeasure
+ * @param {(index: number) => void} options.goToPage
+ * @param {(index: number, measure: string|null) => void} [options.onCue] -
+ *   A page was clicked, on a measure or not.
+ */
+export function createAutoplayControls({
+  container,
+  getPages,
+  sourceOf,
+  getPageIndex,
+  getBpm,
+  getBeatsPerMeasure,
+  goToPage,
+  onCue = () => {},
+}) {
+  const buttons = document.querySelectorAll('[data-transport="play"]');
+
+  const autoAdvance = createAutoAdvance({
+    pageCount: () => getPages().length,
+    beatsOf: (index) =>
+      countBeats(sourceOf(getPages()[index]), getBeatsPerMeasure()),
+    getBpm,
+    getBeatsPerMeasure,
+    onTurn: goToPage,
+    onCountIn: (beat) => {
+      if (beat === null) {
+        delete container.dataset.countIn;
+      } else {
+        container.dataset.countIn = beat;
+      }
+    },
+    onLookAhead: (index) => {
+      getPages().forEach((el, i) =>
+        el.classList.toggle("page-turn-next", i === index),
+      );
+    },
+    onBeat: (index, beat) =>
+      showPlayhead(getPages()[index], beat, getBeatsPerMeasure()),
+    onChange: (running) => {
+      buttons.forEach((button) =>
+        button.setAttribute("aria-pressed", String(running)),
+      );
+      if (!running) clearPlayhead(container);
+    },
+  });
+
+  // Playback picks up from a measure cued by clicking it.
+  const cuedBeat = () =>
+    Number(getPages()[getPageIndex()]?.dataset.playhead) || 0;
+
+  container.addEventListener("click", (e) => {
+    const page = e.target.closest?.("div.content"),
+      span = e.target.closest?.("span.measure");
+    if (!page || e.target.closest("form, #library")) return;
+
+    const index = [...getPages()].indexOf(page);
+    onCue(index, span ? span.dataset.measure : null);
+    if (!span) return;
+
+    // A page redrawn since (transposed, say) may no longer have it.
+    const measure = measuresOf(page, getBeatsPerMeasure()).find(
+      ({ key }) => key === span.dataset.measure,
+    );
+    if (!measure) return;
+    const beat = measure.start;
+
+    if (!autoAdvance.seek(index, beat)) {
+      goToPage(index);
+      showPlayhead(page, beat, getBeatsPerMeasure());
+    }
+  });
+
+  return {
+    toggle: () => autoAdvance.toggle(getPageIndex(), cuedBeat()),
+    stop: autoAdvance.stop,
+    isRunning: autoAdvance.isRunning,
+    cuedBeat,
+  };
+}
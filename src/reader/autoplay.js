@@ -0,0 +1,175 @@
+import { parseTab } from "../tabs/parse";
+
+/**
+ * Parses a time signature such as `"3/4"` or `"6/8"`.
+ *
+ * @param {string} signature
+ *
+ * @returns {{ beats: number, unit: number }} Falls back to 4/4 when unreadable.
+ */
+export function parseTimeSignature(signature) {
+  const match = String(signature).match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    return { beats: 4, unit: 4 };
+  }
+  return { beats: Number(match[1]), unit: Number(match[2]) };
+}
+
+/**
+ * Counts the beats on a page from the measures between its `|` bar lines.
+ *
+ * Measures take their beat count from the tab's beat ruler when it has one,
+ * otherwise from the time signature. Pages without a staff (notes, lyrics,
+ * or tab the parser rejects) count as zero beats.
+ *
+ * @param {string} text - The page text.
+ * @param {number} beatsPerMeasure - Fallback from the time signature.
+ */
+export function countBeats(text, beatsPerMeasure) {
+  try {
+    return parseTab(text, { beatsPerMeasure }).systems.reduce(
+      (total, system) =>
+        total +
+        system.measures.reduce((sum, measure) => sum + measure.beats, 0),
+      0,
+    );
+  } catch (error) {
+    if (error.name !== "TabSyntaxError") throw error;
+    return 0;
+  }
+}
+
+/**
+ * Turns pages on a timer worked out from each page's beats and the tempo.
+ *
+ * Starting plays a count-in of one measure, then holds each page for its
+ * length in beats at the current BPM, reporting every beat on the way.
+ * `lookAhead` milliseconds before a turn the next page is announced so it
+ * can fade in. Pages with no beats are skipped at the start; reaching one
+ * mid-song turns to it and stops.
+ *
+ * @param {object} options
+ * @param {() => number} options.pageCount - Number of pages in the deck.
+ * @param {(index: number) => number} options.beatsOf - Beats on a page.
+ * @param {() => number} options.getBpm - Current tempo.
+ * @param {() => number} options.getBeatsPerMeasure - Count-in length.
+ * @param {(index: number) => void} options.onTurn - Show a page.
+ * @param {(index: number, beat: number) => void} [options.onBeat] - Beat counted from the top of a page.
+ * @param {(beat: number|null) => void} [options.onCountIn] - Count-in beats, then `null`.
+ * @param {(index: number|null) => void} [options.onLookAhead] - Page about to turn in, then `null`.
+ * @param {(running: boolean) => void} [options.onChange] - Started or stopped.
+ * @param {number} [options.lookAhead] - Fade lead time in milliseconds.
+ */
+export function createAutoAdvance({
+  pageCount,
+  beatsOf,
+  getBpm,
+  getBeatsPerMeasure,
+  onTurn,
+  onCountIn = () => {},
+  onBeat = () => {},
+  onLookAhead = () => {},
+  onChange = () => {},
+  lookAhead = 600,
+}) {
+  let timers = [],
+    running = false;
+
+  const beatMs = () => 60000 / (Number(getBpm()) || 100);
+
+  function schedule(fn, ms) {
+    timers.push(setTimeout(fn, Math.max(0, ms)));
+  }
+
+  function clearTimers() {
+    timers.forEach(clearTimeout);
+    timers = [];
+  }
+
+  function play(index, from = 0) {
+    onLookAhead(null);
+    onTurn(index);
+
+    const next = index + 1,
+      beats = beatsOf(index),
+      ms = beatMs(),
+      duration = (beats - from) * ms;
+
+    for (let beat = from; beat < beats; beat++) {
+      schedule(() => onBeat(index, beat), (beat - from) * ms);
+    }
+
+    if (next >= pageCount()) {
+      schedule(stop, duration);
+      return;
+    }
+    schedule(() => onLookAhead(next), duration - Math.min(lookAhead, duration));
+    schedule(() => {
+      if (beatsOf(next) > 0) {
+        play(next);
+      } else {
+        onLookAhead(null);
+        onTurn(next);
+        stop();
+      }
+    }, duration);
+  }
+
+  /**
+   * Counts in and plays from a page, or the first page with beats after it.
+   *
+   * @param {number} [from] - Page index.
+   * @param {number} [beat] - Beat on that page to start from.
+   */
+  function start(from = 0, beat = 0) {
+    stop();
+
+    let first = from;
+    while (first < pageCount() && beatsOf(first) === 0) first++;
+    if (first >= pageCount()) return;
+
+    running = true;
+    onChange(true);
+
+    const count = getBeatsPerMeasure(),
+      ms = beatMs();
+    for (let beat = 0; beat < count; beat++) {
+      schedule(() => onCountIn(count - beat), beat * ms);
+    }
+    schedule(() => {
+      onCountIn(null);
+      play(first, first === from ? Math.min(beat, beatsOf(first) - 1) : 0);
+    }, count * ms);
+  }
+
+  /**
+   * Jumps to a beat while playing, without another count-in.
+   *
+   * @returns {boolean} Whether playback was running to seek in.
+   */
+  function seek(index, beat) {
+    if (!running) return false;
+    clearTimers();
+    onCountIn(null);
+    play(index, beat);
+    return true;
+  }
+
+  function stop() {
+    clearTimers();
+    onCountIn(null);
+    onLookAhead(null);
+    if (running) {
+      running = false;
+      onChange(false);
+    }
+  }
+
+  return {
+    start,
+    stop,
+    seek,
+    toggle: (from, beat) => (running ? stop() : start(from, beat)),
+    isRunning: () => running,
+  };
+}
@@ -0,0 +1,158 @@
+import { stretchBuffer } from "../audio/stretch";
+import { encodeWav } from "../audio/wav";
+import { analyzeAudio } from "../tempo/detect";
+import { createBackingTrack, loadMarkers, saveMarkers } from "./backing";
+
+/**
+ * Wires the backing track controls: the `.backing-file` picker and
+ * `.backing-track` player, the `.backing-mark` and `.backing-clear`
+ * buttons, and the `.backing-status` and `.backing-speed` notes.
+ *
+ * A track loaded takes its tempo as the practice tempo, and the tempo
+ * slider then slows it, without changing its pitch, from half speed up to
+ * as recorded. Markers are saved per song.
+ *
+ * @param {object} options
+ * @param {() => AudioContext} options.getContext - For decoding tracks.
+ * @param {() => number} options.getBpm - The practice tempo.
+ * @param {(bpm: number) => void} options.setBpm
+ * @param {() => string} options.getSong - The id of the song open.
+ * @param {() => { page: number, measure: string|null }} options.getCue -
+ *   The page in view and the measure cued on it, for a new marker.
+ * @param {(marker: { page: number, measure: string|null }) => void} options.onMarker -
+ *   The track reached a marker.
+ */
+export function createBackingControls({
+  getContext,
+  getBpm,
+  setBpm,
+  getSong,
+  getCue,
+  onMarker,
+}) {
+  const media = document.querySelector(".backing-track");
+  let file = null;
+
+  const track = createBackingTrack({
+    media: media || new Audio(),
+    onMarker,
+  });
+
+  function load(song) {
+    const saved = loadMarkers(song);
+    track.setMarkers(saved.markers);
+    document.querySelectorAll(".backing-status").forEach((status) => {
+      status.textContent = saved.markers.length
+        ? `${saved.markers.length} markers for ${saved.file || "a track"}`
+        : "No markers";
+    });
+  }
+
+  function save() {
+    saveMarkers(getSong(), { file, markers: track.getMarkers() });
+    load(getSong());
+  }
+
+  // The loaded track, decoded, and its tempo: the slider's 100%.
+  let audio = null;
+
+  // How fast the track plays against its own tempo, in steps of a percent.
+  const rate = () =>
+    audio
+      ? Math.min(
+          1,
+          Math.max(0.5, Math.round((getBpm() / audio.bpm) * 100) / 100),
+        )
+      : 1;
+
+  function showSpeed(note) {
+    document.querySelectorAll(".backing-speed").forEach((status) => {
+      status.textContent =
+        note ||
+        (audio ? `${Math.round(track.rate() * 100)}% of ${audio.bpm} BPM` : "");
+    });
+  }
+
+  // Slowing a track takes a moment, so it waits for the slider to settle
+  // and only follows the slider: a tapped tempo or a loop speeding up
+  // leaves the track as it is.
+  const restretch = _.debounce(() => {
+    const loaded = audio,
+      next = rate();
+    if (!loaded || next === track.rate()) return;
+
+    const at = track.time(),
+      play = track.isPlaying();
+    media?.pause();
+    showSpeed(`Slowing to ${Math.round(next * 100)}%…`);
+    // Let the note show before the stretch holds up the page.
+    setTimeout(() => {
+      if (loaded !== audio) return;
+      track.load(
+        next === 1
+          ? loaded.file
+          : encodeWav(stretchBuffer(loaded.buffer, next)),
+        { rate: next, at, play },
+      );
+      showSpeed();
+    }, 20);
+  }, 300);
+
+  document
+    .querySelectorAll('.bpm-input[type="range"]')
+    .forEach((input) => input.addEventListener("change", restretch));
+
+  document.querySelectorAll(".backing-file").forEach((input) => {
+    input.addEventListener("change", async (e) => {
+      const [picked] = e.target.files;
+      if (!picked) return;
+      file = picked.name;
+      audio = null;
+      track.load(picked);
+      showSpeed("Finding the tempo…");
+
+      let buffer;
+      try {
+        buffer = await getContext().decodeAudioData(await picked.arrayBuffer());
+      } catch (error) {
+        showSpeed(`Can't slow ${picked.name}`);
+        return;
+      }
+      // Without a pulse to go on, the tempo set now stands for 100%.
+      const bpm = Math.round(analyzeAudio(buffer)?.bpm || getBpm());
+      audio = { file: picked, buffer, bpm };
+      setBpm(bpm);
+      showSpeed();
+    });
+  });
+
+  // Marks the page in view, at the measure cued on it if there is one.
+  document.querySelectorAll(".backing-mark").forEach((button) => {
+    button.addEventListener("click", () => {
+      if (!track.isLoaded()) return;
+      const { page, measure } = getCue();
+      track.mark(page, measure);
+      save();
+    });
+  });
+
+  document.querySelectorAll(".backing-clear").forEach((button) => {
+    button.addEventListener("click", () => {
+      track.setMarkers([]);
+      save();
+    });
+  });
+
+  return {
+    /**
+     * Stops the track and shows the markers saved for a song.
+     *
+     * @param {string} song - The song's id.
+     */
+    open: (song) => {
+      media?.pause();
+      load(song);
+    },
+    seek: track.seek,
+  };
+}
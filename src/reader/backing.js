@@ -0,0 +1,175 @@
+const STORAGE_KEY = "backing-markers";
+
+/**
+ * Adds a marker, replacing any at the same page and measure, and keeps the
+ * list in time order.
+ *
+ * @param {{ time: number, page: number, measure?: string|null }[]} markers
+ * @param {{ time: number, page: number, measure?: string|null }} marker
+ *   `time` in seconds into the track; `measure` a `data-measure` key such
+ *   as `0.3`, or `null` for the top of the page.
+ *
+ * @returns {object[]} A new list.
+ */
+export function addMarker(markers, marker) {
+  const added = { ...marker, measure: marker.measure ?? null };
+  return [
+    ...markers.filter(
+      (other) => other.page !== added.page || other.measure !== added.measure,
+    ),
+    added,
+  ].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The marker in force at a time in the track: the last one at or before it.
+ *
+ * @returns {object|null}
+ */
+export function markerAt(markers, time) {
+  let found = null;
+  markers.forEach((marker) => {
+    if (marker.time <= time) found = marker;
+  });
+  return found;
+}
+
+/**
+ * The marker to seek to for a page, or a measure on it. A measure without
+ * a marker of its own falls back to the page's first marker.
+ *
+ * @returns {object|null}
+ */
+export function markerFor(markers, page, measure = null) {
+  const onPage = markers.filter((marker) => marker.page === page);
+  return (
+    (measure !== null && onPage.find((marker) => marker.measure === measure)) ||
+    onPage[0] ||
+    null
+  );
+}
+
+/**
+ * Plays a backing track through a media element and follows its markers.
+ *
+ * While the track plays, `onMarker` fires each time a new marker comes into
+ * force, so the reader can turn to its page. Seeking the track by hand
+ * counts too.
+ *
+ * The track can be swapped for a slowed-down copy of itself; marker times
+ * stay in the original's seconds and are scaled by the copy's speed.
+ *
+ * @param {object} options
+ * @param {HTMLMediaElement} options.media - An `<audio>` element.
+ * @param {(marker: object) => void} options.onMarker
+ */
+export function createBackingTrack({ media, onMarker }) {
+  let markers = [],
+    current = null,
+    url = null,
+    speed = 1;
+
+  // Where the track is, in seconds of the original recording.
+  const now = () => media.currentTime * speed;
+
+  function follow() {
+    const marker = markerAt(markers, now());
+    if (marker && marker !== current) onMarker(marker);
+    current = marker;
+  }
+
+  ["timeupdate", "seeked"].forEach((type) =>
+    media.addEventListener(type, follow),
+  );
+
+  return {
+    /**
+     * Loads a track from a local file.
+     *
+     * @param {Blob} file
+     * @param {object} [options]
+     * @param {number} [options.rate] - Speed of `file` against the track the
+     *   markers were set on, e.g. `0.75` for a copy slowed to 75%.
+     * @param {number} [options.at] - Where to start, in original seconds.
+     * @param {boolean} [options.play] - Start playing once loaded.
+     */
+    load(file, { rate = 1, at = 0, play = false } = {}) {
+      if (url) URL.revokeObjectURL(url);
+      url = URL.createObjectURL(file);
+      speed = rate;
+      media.src = url;
+      current = null;
+      // A new source can't be seeked until its length is known.
+      media.addEventListener(
+        "loadedmetadata",
+        () => {
+          media.currentTime = at / speed;
+          if (play) media.play();
+        },
+        { once: true },
+      );
+    },
+    setMarkers(next) {
+      markers = next;
+      current = markerAt(markers, now());
+    },
+    getMarkers: () => markers,
+    /**
+     * Drops a marker for a page (and measure) where the track is now.
+     */
+    mark(page, measure = null) {
+      markers = addMarker(markers, { time: now(), page, measure });
+      current = markerAt(markers, now());
+      return markers;
+    },
+    /**
+     * Jumps the track to a page's marker.
+     *
+     * @returns {boolean} Whether there was a marker to jump to.
+     */
+    seek(page, measure = null) {
+      const marker = markerFor(markers, page, measure);
+      if (!marker || !media.src) return false;
+      current = marker;
+      media.currentTime = marker.time / speed;
+      return true;
+    },
+    time: now,
+    rate: () => speed,
+    isPlaying: () => !media.paused,
+    isLoaded: () => Boolean(media.src),
+  };
+}
+
+/**
+ * Reads the markers saved for a song in this browser.
+ *
+ * @param {string} song - Library entry id.
+ *
+ * @returns {{ file: string|null, markers: object[] }}
+ */
+export function loadMarkers(song) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return saved[song] || { file: null, markers: [] };
+  } catch (error) {
+    return { file: null, markers: [] };
+  }
+}
+
+/**
+ * Saves a song's markers, with the name of the track they were set against.
+ *
+ * @param {string} song - Library entry id.
+ * @param {{ file: string|null, markers: object[] }} backing
+ */
+export function saveMarkers(song, backing) {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    saved = {};
+  }
+  saved[song] = backing;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
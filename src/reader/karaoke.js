@@ -0,0 +1,197 @@
+import { harmonicaNotes, sungNotes, syllableSlots } from "../audio/harmonica";
+import { parseHarmonicaTab } from "../harmonica/parse";
+
+/**
+ * Pairs the notes of a harmonica tab line with the syllables sung to them,
+ * as `syllableSlots` matches them for playback, so the pair lit up is the
+ * note sounding.
+ *
+ * A syllable with more than one note has the first over it and the rest
+ * over nothing; one with no note of its own, the last note held through
+ * it, goes under nothing. A syllable that runs on into the next one of its
+ * word ends in a hyphen.
+ *
+ * @param {object} line - A note line from `parseHarmonicaTab`.
+ *
+ * @returns {{ pairs: { note: object|null, syllable: string|null }[], notes: number, syllables: number }}
+ *   In reading order. `notes` counts the notes that aren't optional and
+ *   `syllables` the syllables, equal on a line that matches.
+ */
+export function pairSyllables(line) {
+  const { syllables, slots } = syllableSlots(line),
+    words = syllables.map((syllable, i) => {
+      const next = syllables[i + 1];
+      return next && next.column === syllable.column + syllable.text.length
+        ? `${syllable.text}-`
+        : syllable.text;
+    }),
+    pairs = [];
+
+  if (!words.length) {
+    line.notes.forEach((note) => pairs.push({ note, syllable: null }));
+  } else {
+    words.forEach((syllable, index) => {
+      const notes = line.notes.filter((_note, i) => slots[i] === index);
+      if (!notes.length) pairs.push({ note: null, syllable });
+      notes.forEach((note, i) =>
+        pairs.push({ note, syllable: i ? null : syllable }),
+      );
+    });
+  }
+
+  return { pairs, notes: sungNotes(line).length, syllables: words.length };
+}
+
+/**
+ * Renders harmonica tab with each note over the syllable it goes with.
+ *
+ * A note line and the lyrics below it become one `span.karaoke-line` of
+ * `span.karaoke-pair`s, each holding a `.hole` and a `.syllable`; a pair
+ * keeps its note's `data-line` and `data-column` so playback can find it.
+ * A line whose notes and syllables don't come out even is flagged with
+ * `data-syllable-check="differs"` and says by how much on hover. Lines of
+ * notes without lyrics aren't flagged. Everything else stays as written.
+ *
+ * @param {string} text - The page text.
+ *
+ * @returns {DocumentFragment}
+ */
+export function renderKaraokeText(text) {
+  const fragment = document.createDocumentFragment(),
+    model = parseHarmonicaTab(text),
+    noteLines = new Map(model.lines.map((line) => [line.line, line])),
+    lyricLines = new Set(
+      model.lines.flatMap((line) => (line.lyrics ? [line.lyrics.line] : [])),
+    ),
+    lines = text.split("\n");
+  let plain = "";
+
+  lines.forEach((source, i) => {
+    const line = noteLines.get(i + 1),
+      newline = i < lines.length - 1 ? "\n" : "";
+
+    if (lyricLines.has(i + 1)) return;
+    if (!line) {
+      plain += source + newline;
+      return;
+    }
+
+    fragment.append(plain);
+    plain = newline;
+
+    const { pairs, notes, syllables } = pairSyllables(line),
+      row = document.createElement("span");
+    row.className = "karaoke-line";
+    if (line.lyrics && notes !== syllables) {
+      row.dataset.syllableCheck = "differs";
+      row.title = `${notes} note${notes === 1 ? "" : "s"} to ${syllables} syllable${syllables === 1 ? "" : "s"}`;
+    }
+    pairs.forEach(({ note, syllable }) => {
+      const pair = document.createElement("span"),
+        hole = document.createElement("span"),
+        sung = document.createElement("span");
+      pair.className = "karaoke-pair";
+      hole.className = "hole";
+      sung.className = "syllable";
+      hole.textContent = note ? note.text : "";
+      sung.textContent = syllable ?? "";
+      if (note) {
+        pair.dataset.line = note.line;
+        pair.dataset.column = note.column;
+      }
+      pair.append(hole, sung);
+      row.append(pair);
+    });
+    fragment.append(row);
+  });
+
+  fragment.append(plain);
+  return fragment;
+}
+
+/**
+ * Takes the karaoke cursor off every page under `root`.
+ *
+ * @param {HTMLElement} root
+ */
+export function clearKaraoke(root) {
+  root
+    .querySelectorAll(".karaoke-pair.karaoke-current")
+    .forEach((pair) => pair.classList.remove("karaoke-current"));
+}
+
+/**
+ * Moves the karaoke cursor to a note, lighting up its hole and the syllable
+ * sung to it, and keeps it in view.
+ *
+ * @param {HTMLElement} page
+ * @param {{ line: number, column: number }} note - A note as
+ *   `harmonicaNotes` lists it, from the page's own text.
+ */
+export function showKaraoke(page, note) {
+  clearKaraoke(page.parentElement || page);
+
+  const pair = page.querySelector(
+    `.karaoke-pair[data-line="${note.line}"][data-column="${note.column}"]`,
+  );
+  if (!pair) return;
+  pair.classList.add("karaoke-current");
+  pair.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+/**
+ * Moves the karaoke cursor along with harmonica playback, or a beat at a
+ * time to a metronome.
+ *
+ * @param {HTMLElement} root - The element holding the pages.
+ */
+export function createKaraokeFollower(root) {
+  let timers = [];
+
+  /**
+   * Lights each note of a playback up as it sounds.
+   *
+   * @param {HTMLElement} page
+   * @param {{ notes: object[], start: number }} playback - From `playHarmonica`.
+   * @param {BaseAudioContext} context - The context it plays on.
+   */
+  function follow(page, playback, context) {
+    stop();
+    const now = context.currentTime;
+    timers = playback.notes.map((note) =>
+      setTimeout(
+        () => showKaraoke(page, note),
+        (playback.start + note.time - now) * 1000,
+      ),
+    );
+  }
+
+  /**
+   * Lights up the note a beat falls in, counting from the top of a page in
+   * the rhythm playback would give it. Past the last note, nothing is lit.
+   *
+   * @param {HTMLElement} page
+   * @param {string} text - The page's harmonica tab.
+   * @param {number} beat
+   * @param {"lyrics"|"grid"} [rhythm]
+   */
+  function beat(page, text, beat, rhythm) {
+    // At 60 BPM a note's duration in seconds is its length in beats.
+    const notes = harmonicaNotes(text, { bpm: 60, rhythm }),
+      last = notes[notes.length - 1],
+      note = notes.filter((note) => note.beat < beat + 1).pop();
+    if (!note || beat >= last.beat + last.duration) {
+      clearKaraoke(root);
+      return;
+    }
+    showKaraoke(page, note);
+  }
+
+  function stop() {
+    timers.forEach(clearTimeout);
+    timers = [];
+    clearKaraoke(root);
+  }
+
+  return { follow, beat, stop };
+}
@@ -0,0 +1,84 @@
+import { playHarmonica } from "../audio/harmonica";
+import { playTab } from "../audio/tab";
+
+/**
+ * Plays a page: guitar tab on a plucked string, or harmonica tab on a harp
+ * when it is given one.
+ *
+ * @param {BaseAudioContext} context
+ * @param {string} text - The page text.
+ * @param {{ bpm?: number, beatsPerMeasure?: number, from?: number, to?: number, harp?: string, rhythm?: "lyrics"|"grid" }} [options]
+ *   `harp` is the key of the harp a harmonica page is played on.
+ *
+ * @returns {{ notes: object[], start: number, duration: number, stop: () => void }}
+ *
+ * @throws {TabSyntaxError} If guitar tab isn't tab the parser can read.
+ */
+export function playPage(context, text, { harp, rhythm, ...options } = {}) {
+  return harp
+    ? playHarmonica(context, text, { ...options, key: harp, rhythm })
+    : playTab(context, text, options);
+}
+
+/**
+ * Plays the page in view from the `[data-transport="listen"]` buttons,
+ * which stay pressed while it plays. A harmonica page's karaoke cursor
+ * follows along.
+ *
+ * @param {object} options
+ * @param {() => BaseAudioContext} options.getContext - Started on a gesture.
+ * @param {() => { page: HTMLElement, text: string, options: object }} options.getPage
+ *   The page in view, its text, and how to play it as `playPage` takes it.
+ * @param {{ follow: Function, stop: () => void }} options.follower - From
+ *   `createKaraokeFollower`.
+ */
+export function createListener({ getContext, getPage, follower }) {
+  const buttons = document.querySelectorAll('[data-transport="listen"]');
+  let playback = null,
+    timer = null;
+
+  const press = (on) =>
+    buttons.forEach((button) =>
+      button.setAttribute("aria-pressed", String(on)),
+    );
+
+  function stop() {
+    clearTimeout(timer);
+    playback?.stop();
+    playback = null;
+    follower.stop();
+    press(false);
+  }
+
+  // Other pages have nothing to play.
+  function toggle() {
+    if (playback) {
+      stop();
+      return;
+    }
+
+    const context = getContext(),
+      { page, text, options } = getPage();
+    try {
+      playback = playPage(context, text, options);
+    } catch (error) {
+      if (error.name !== "TabSyntaxError") throw error;
+      return;
+    }
+    if (!playback.notes.length) {
+      playback = null;
+      return;
+    }
+    if (options.harp) follower.follow(page, playback, context);
+
+    press(true);
+    const left = playback.start + playback.duration - context.currentTime;
+    timer = setTimeout(stop, left * 1000);
+  }
+
+  return {
+    toggle,
+    stop,
+    isPlaying: () => playback !== null,
+  };
+}
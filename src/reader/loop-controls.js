@@ -0,0 +1,223 @@
+import { SECTION_HEADER } from "../tabs/pages";
+import { countBeats } from "./autoplay";
+import { playPage } from "./listen";
+import { createLoopTrainer, loopSegments, sectionRecord } from "./loop";
+import { measuresOf, showPlayhead } from "./staff";
+
+/**
+ * The loop trainer's controls: `.loop-a` and `.loop-b` set the ends of the
+ * loop, `.loop-toggle` starts and stops it, `.loop-miss` marks a pass
+ * missed, and `.loop-status` says how the section has gone.
+ *
+ * A pass plays on the `.loop-sound` chosen: the page played from the tab,
+ * or the metronome counting its beats. Each clean pass speeds up by
+ * `.loop-step` BPM, up to `.loop-target`.
+ *
+ * @param {object} options
+ * @param {() => number} options.getPageIndex - The page in view.
+ * @param {(index: number) => HTMLElement} options.getPage
+ * @param {(page: HTMLElement) => string} options.sourceOf - A page's text.
+ * @param {() => { title: string }} options.getEntry - The song open.
+ * @param {() => number} options.getBpm
+ * @param {(bpm: number) => void} options.setBpm
+ * @param {() => number} options.getBeatsPerMeasure
+ * @param {(index: number) => void} options.goToPage
+ * @param {() => BaseAudioContext} options.getContext
+ * @param {() => object} options.getPlayOptions - How the song's pages play,
+ *   as `playPage` takes them; with a `harp` the karaoke cursor follows.
+ * @param {{ follow: Function, stop: () => void }} options.follower
+ * @param {object} options.metronome - From `createMetronome`.
+ * @param {() => object[]} options.getSessions - The tempo session history.
+ * @param {(session: object) => void} options.onSession - A drill ended.
+ * @param {() => void} [options.onStart] - A loop is about to start.
+ */
+export function createLoopControls({
+  getPageIndex,
+  getPage,
+  sourceOf,
+  getEntry,
+  getBpm,
+  setBpm,
+  getBeatsPerMeasure,
+  goToPage,
+  getContext,
+  getPlayOptions,
+  follower,
+  metronome,
+  getSessions,
+  onSession,
+  onStart = () => {},
+}) {
+  const statuses = document.querySelectorAll(".loop-status"),
+    buttons = document.querySelectorAll(".loop-toggle");
+  let loopA = null,
+    loopB = null;
+
+  // A loop point is the measure cued on the page in view, or the page.
+  function loopPoint() {
+    const index = getPageIndex(),
+      page = getPage(index),
+      cued = page?.querySelector("span.measure.playhead"),
+      measures = page ? measuresOf(page, getBeatsPerMeasure()) : [],
+      bar = cued
+        ? measures.findIndex(({ key }) => key === cued.dataset.measure)
+        : -1;
+    if (bar < 0) return { page: index, bar: null, from: 0, to: Infinity };
+    const { start, beats } = measures[bar];
+    return { page: index, bar: bar + 1, from: start, to: start + beats };
+  }
+
+  // Names a loop for the session log by the sections it covers, e.g.
+  // "Moonlight Sonata: (3.) ___ Am, E(var), bars 1–2".
+  function loopSection(a, b) {
+    const { title } = getEntry(),
+      heading = (page) => {
+        const [line = ""] = sourceOf(getPage(page)).split("\n");
+        return SECTION_HEADER.test(line) ? line.trim() : `Page ${page}`;
+      },
+      [first, last] = a.page <= b.page ? [a, b] : [b, a];
+    if (first.page !== last.page) {
+      return `${title}: ${heading(first.page)} – ${heading(last.page)}`;
+    }
+    const bars = [a.bar, b.bar].filter(Boolean);
+    return [
+      `${title}: ${heading(first.page)}`,
+      bars.length &&
+        (Math.min(...bars) === Math.max(...bars)
+          ? `bar ${bars[0]}`
+          : `bars ${Math.min(...bars)}–${Math.max(...bars)}`),
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  function show(note) {
+    const a = loopA || loopB,
+      b = loopB || loopA;
+    let text = note;
+    if (!text && a) {
+      const { drills, best } = sectionRecord(getSessions(), loopSection(a, b));
+      text = [
+        loopSection(a, b),
+        drills && `${drills} drills`,
+        best && `best ${best} BPM`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    }
+    statuses.forEach((status) => (status.textContent = text || ""));
+  }
+
+  // Each segment turns to its page and plays it, or counts its beats on
+  // the metronome.
+  function playSegment({ page: index, from, to }, bpm) {
+    const page = getPage(index),
+      text = sourceOf(page),
+      beatsPerMeasure = getBeatsPerMeasure(),
+      beats = countBeats(text, beatsPerMeasure),
+      seconds = ((Math.min(to, beats) - from) * 60) / bpm;
+    if (!page) return null;
+    goToPage(index);
+    if (beats) showPlayhead(page, from, beatsPerMeasure);
+
+    if (document.querySelector(".loop-sound")?.value === "metronome") {
+      if (!beats) return null;
+      if (!metronome.isRunning()) metronome.start();
+      return { seconds, stop: () => metronome.stop() };
+    }
+
+    const context = getContext(),
+      options = { ...getPlayOptions(), bpm, beatsPerMeasure, from, to };
+    let playback;
+    try {
+      playback = playPage(context, text, options);
+    } catch (error) {
+      if (error.name !== "TabSyntaxError") throw error;
+      return null;
+    }
+    if (options.harp) follower.follow(page, playback, context);
+    // Harmonica tab has no bars; its notes say how long the page lasts.
+    return {
+      seconds: beats ? seconds : playback.duration - (from * 60) / bpm,
+      stop: () => {
+        playback.stop();
+        follower.stop();
+      },
+    };
+  }
+
+  const trainer = createLoopTrainer({
+    play: playSegment,
+    onTempo: setBpm,
+    onPass: ({ bpm, clean }, passes) =>
+      show(`Pass ${passes.length} at ${bpm} BPM ${clean ? "clean" : "missed"}`),
+    onSession: (session) => {
+      onSession(session);
+      show();
+    },
+    onChange: (running) =>
+      buttons.forEach((button) =>
+        button.setAttribute("aria-pressed", String(running)),
+      ),
+  });
+
+  const numberOf = (selector, fallback) =>
+    Number(document.querySelector(selector)?.value) || fallback;
+
+  function toggle() {
+    if (trainer.isRunning()) {
+      trainer.stop();
+      return;
+    }
+    onStart();
+    const a = loopA || loopB || loopPoint(),
+      b = loopB || a,
+      bpm = getBpm();
+    trainer.start({
+      segments: loopSegments(a, b),
+      section: loopSection(a, b),
+      bpm,
+      step: numberOf(".loop-step", 5),
+      target: numberOf(".loop-target", bpm),
+    });
+  }
+
+  /**
+   * Sets one end of the loop where the reader is.
+   *
+   * @param {"a"|"b"} which
+   */
+  function setPoint(which) {
+    trainer.stop();
+    if (which === "a") loopA = loopPoint();
+    else loopB = loopPoint();
+    show();
+  }
+
+  document
+    .querySelectorAll(".loop-a")
+    .forEach((button) => button.addEventListener("click", () => setPoint("a")));
+  document
+    .querySelectorAll(".loop-b")
+    .forEach((button) => button.addEventListener("click", () => setPoint("b")));
+  buttons.forEach((button) => button.addEventListener("click", toggle));
+  document
+    .querySelectorAll(".loop-miss")
+    .forEach((button) =>
+      button.addEventListener("click", () => trainer.miss()),
+    );
+
+  return {
+    toggle,
+    setPoint,
+    miss: () => trainer.miss(),
+    /**
+     * Stops the loop and forgets its ends, for another song.
+     */
+    reset: () => {
+      trainer.stop();
+      loopA = loopB = null;
+      show();
+    },
+  };
+}
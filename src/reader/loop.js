@@ -0,0 +1,210 @@
+/**
+ * Lists what an A/B loop plays: a run of beats on each page from A to B.
+ *
+ * A and B may come in either order. Each stands for a measure, or a whole
+ * page, as a run of beats on its page; the loop takes in both, and every
+ * page between them whole.
+ *
+ * @param {{ page: number, from: number, to: number }} a
+ * @param {{ page: number, from: number, to: number }} b
+ *   `from` is the first beat and `to` the beat after the last, counted from
+ *   the top of the page; `Infinity` runs to the end of the page.
+ *
+ * @returns {{ page: number, from: number, to: number }[]} In playing order.
+ */
+export function loopSegments(a, b) {
+  const [first, last] =
+    a.page < b.page || (a.page === b.page && a.from <= b.from)
+      ? [a, b]
+      : [b, a];
+
+  if (first.page === last.page) {
+    return [
+      {
+        page: first.page,
+        from: first.from,
+        to: Math.max(first.to, last.to),
+      },
+    ];
+  }
+  const segments = [{ page: first.page, from: first.from, to: Infinity }];
+  for (let page = first.page + 1; page < last.page; page++) {
+    segments.push({ page, from: 0, to: Infinity });
+  }
+  segments.push({ page: last.page, from: 0, to: last.to });
+  return segments;
+}
+
+/**
+ * The tempo for the next pass: `step` faster after a clean one, but no
+ * faster than `target`. A missed pass goes round again at the same tempo.
+ *
+ * @param {number} bpm
+ * @param {{ clean: boolean, step: number, target: number }} options
+ */
+export function nextTempo(bpm, { clean, step, target }) {
+  return clean ? Math.min(target, bpm + step) : bpm;
+}
+
+/**
+ * Sums up the drills logged for a section.
+ *
+ * @param {object[]} sessions - Tempo sessions, as `loadSessions` reads them.
+ * @param {string} section
+ *
+ * @returns {{ drills: number, best: number|null, reached: number }}
+ *   `best` is the fastest clean pass; `reached` counts drills that got to
+ *   their target.
+ */
+export function sectionRecord(sessions, section) {
+  const drills = sessions.filter(
+      (session) => session.source === "loop" && session.section === section,
+    ),
+    clean = drills.flatMap((drill) =>
+      drill.passes.filter((pass) => pass.clean).map((pass) => pass.bpm),
+    );
+  return {
+    drills: drills.length,
+    best: clean.length ? Math.max(...clean) : null,
+    reached: drills.filter((drill) => drill.reached).length,
+  };
+}
+
+/**
+ * Plays an A/B loop over and over, speeding up as it is played cleanly.
+ *
+ * Each pass plays the loop's segments one after another at the pass's
+ * tempo. A pass counts as clean unless `miss` is called during it; after a
+ * clean pass the tempo goes up by `step`, and a clean pass at `target` ends
+ * the drill. Stopping, or finishing, ends the drill as a session of every
+ * pass and its tempo.
+ *
+ * @param {object} options
+ * @param {(segment: object, bpm: number) => { seconds: number, stop: () => void }|null} options.play
+ *   Sounds a segment, with the synth or a click, and says how long it lasts.
+ *   `null` when there is nothing to play.
+ * @param {(bpm: number) => void} [options.onTempo] - The tempo of a new pass.
+ * @param {(pass: { bpm: number, clean: boolean }, passes: object[]) => void} [options.onPass]
+ *   A pass finished.
+ * @param {(session: object) => void} [options.onSession] - A drill ended.
+ * @param {(running: boolean) => void} [options.onChange] - Started or stopped.
+ */
+export function createLoopTrainer({
+  play,
+  onTempo = () => {},
+  onPass = () => {},
+  onSession = () => {},
+  onChange = () => {},
+}) {
+  let drill = null,
+    timer = null,
+    playing = null;
+
+  function playSegment(index) {
+    if (index >= drill.segments.length) {
+      finishPass();
+      return;
+    }
+    playing = play(drill.segments[index], drill.bpm);
+    if (!playing || !(playing.seconds > 0)) {
+      stop();
+      return;
+    }
+    timer = setTimeout(() => playSegment(index + 1), playing.seconds * 1000);
+  }
+
+  function startPass() {
+    drill.clean = true;
+    onTempo(drill.bpm);
+    playSegment(0);
+  }
+
+  function finishPass() {
+    const pass = { bpm: drill.bpm, clean: drill.clean };
+    drill.passes.push(pass);
+    onPass(pass, [...drill.passes]);
+
+    if (pass.clean && drill.bpm >= drill.target) {
+      drill.reached = true;
+      stop();
+      return;
+    }
+    drill.bpm = nextTempo(drill.bpm, drill);
+    startPass();
+  }
+
+  /**
+   * Starts a drill.
+   *
+   * @param {object} options
+   * @param {object[]} options.segments - From `loopSegments`.
+   * @param {string} options.section - Names the loop in the session log.
+   * @param {number} options.bpm - Tempo of the first pass.
+   * @param {number} [options.step] - BPM added after each clean pass.
+   * @param {number} [options.target] - Tempo to work up to.
+   */
+  function start({ segments, section, bpm, step = 5, target = bpm }) {
+    stop();
+    if (!segments.length) return;
+
+    drill = {
+      segments,
+      section,
+      startedAt: new Date().toISOString(),
+      from: bpm,
+      bpm,
+      step,
+      target: Math.max(bpm, target),
+      passes: [],
+      clean: true,
+      reached: false,
+    };
+    onChange(true);
+    startPass();
+  }
+
+  /**
+   * Ends the drill.
+   *
+   * @returns {object|null} The session logged, if any pass was finished.
+   */
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    playing?.stop();
+    playing = null;
+    if (!drill) return null;
+
+    const { section, startedAt, from, step, target, passes, reached } = drill;
+    drill = null;
+    onChange(false);
+    if (!passes.length) return null;
+
+    const clean = passes.filter((pass) => pass.clean),
+      session = {
+        source: "loop",
+        section,
+        startedAt,
+        from,
+        step,
+        target,
+        bpm: clean.length ? Math.max(...clean.map((pass) => pass.bpm)) : null,
+        reached,
+        passes,
+      };
+    onSession(session);
+    return session;
+  }
+
+  return {
+    start,
+    stop,
+    /**
+     * Marks the pass under way as not clean.
+     */
+    miss: () => {
+      if (drill) drill.clean = false;
+    },
+    isRunning: () => drill !== null,
+  };
+}
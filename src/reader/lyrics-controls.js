@@ -0,0 +1,87 @@
+import { createTeleprompter } from "./teleprompter";
+
+/**
+ * Lyrics mode, from the `.lyrics-mode` buttons: the page in view shown
+ * large and scrolled to the tempo, `.lines-per-bar` lines a measure. The
+ * container's `data-lyrics-mode` is `scrolling` or `paused` while it's on.
+ *
+ * @param {object} options
+ * @param {HTMLElement} options.container - The `#scroll-container` element.
+ * @param {() => number} options.getBpm - Current tempo.
+ * @param {(bpm: number) => void} options.setBpm
+ * @param {() => number} options.getBeatsPerMeasure - Beats in a measure.
+ * @param {() => HTMLElement} options.getPage - The page in view.
+ * @param {(page: HTMLElement) => void} [options.onStart] - Lyrics mode came
+ *   on for a page, which may be missing.
+ */
+export function createLyricsMode({
+  container,
+  getBpm,
+  setBpm,
+  getBeatsPerMeasure,
+  getPage,
+  onStart = () => {},
+}) {
+  const buttons = document.querySelectorAll(".lyrics-mode"),
+    linesPerBar = document.querySelectorAll(".lines-per-bar"),
+    range = document.querySelector('.bpm-input[type="range"]');
+  const isOn = () => "lyricsMode" in container.dataset;
+
+  const teleprompter = createTeleprompter({
+    getBpm,
+    getBeatsPerMeasure,
+    getLinesPerBar: () => linesPerBar[0]?.value,
+    onChange: (running) => {
+      if (!isOn()) return;
+      container.dataset.lyricsMode = running ? "scrolling" : "paused";
+    },
+  });
+
+  function toggle() {
+    const on = !isOn();
+    buttons.forEach((button) =>
+      button.setAttribute("aria-pressed", String(on)),
+    );
+    if (!on) {
+      delete container.dataset.lyricsMode;
+      teleprompter.stop();
+      return;
+    }
+    container.dataset.lyricsMode = "paused";
+    const page = getPage();
+    onStart(page);
+    teleprompter.start(page);
+  }
+
+  buttons.forEach((button) => button.addEventListener("click", toggle));
+
+  return {
+    isOn,
+    toggle,
+    /**
+     * Pauses the scrolling, or carries on with the page in view.
+     */
+    pause: () => teleprompter.toggle(getPage()),
+    /**
+     * Carries on scrolling on a page turned to, if it was scrolling.
+     *
+     * @param {HTMLElement} page
+     */
+    follow: (page) => {
+      if (teleprompter.isRunning()) teleprompter.start(page);
+    },
+    /**
+     * Speeds the lyrics up or slows them down a BPM, from a wheel event.
+     */
+    nudge: _.throttle((e) => {
+      const direction = e.deltaY + e.deltaX > 0 ? 1 : -1;
+      setBpm(
+        _.clamp(
+          getBpm() + direction,
+          Number(range?.min) || 20,
+          Number(range?.max) || 300,
+        ),
+      );
+    }, 50),
+  };
+}
@@ -0,0 +1,80 @@
+import { renderChordDiagram } from "../chords/diagram";
+import { renderKaraokeText } from "./karaoke";
+import { renderStaffText } from "./staff";
+
+const PAGE_CLASS =
+  "preformatted relative z-0 monospace content overflow-visible flex-shrink h-full flex flex-col items-start justify-start min-w-prose prose my-8 p-8 whitespace-pre shadow-[0_0px_160px_-15px_#20202080] rounded";
+
+const BADGE_CLASS =
+  "sans-serif p-2 text-4xl absolute top-0 right-0 shadow-lg dark:shadow-[white] rounded z-10";
+
+/**
+ * Creates a single focusable reader page, with its chord diagrams, if it
+ * has any, above the text. Harmonica tab is set out with its notes over
+ * the syllables they go with.
+ *
+ * @param {{ text: string, diagrams?: object[], harmonica?: boolean }} page -
+ *   A page from `pagesOf`; `diagrams` are chords as `renderChordDiagram`
+ *   takes them.
+ * @param {number} pageNumber - The number shown in the `<code>` badge.
+ * @param {number} pageIndex - The `data-page-index` of the page in the deck.
+ *
+ * @returns {HTMLDivElement}
+ */
+export function createPage(page, pageNumber, pageIndex) {
+  const div = document.createElement("div"),
+    badge = document.createElement("code");
+
+  div.tabIndex = 0;
+  div.className = PAGE_CLASS;
+  div.dataset.pageIndex = pageIndex;
+  div.dataset.generated = "";
+
+  badge.className = BADGE_CLASS;
+  badge.textContent = pageNumber;
+
+  div.append(badge);
+  if (page.diagrams?.length) {
+    const strip = document.createElement("div");
+    strip.className = "chord-diagrams sans-serif flex flex-wrap gap-x-4";
+    strip.append(...page.diagrams.map(renderChordDiagram));
+    div.append(strip);
+  }
+  div.append(
+    page.harmonica ? renderKaraokeText(page.text) : renderStaffText(page.text),
+  );
+  return div;
+}
+
+/**
+ * Appends pages to the deck, ahead of its `.end` marker if there is one.
+ *
+ * Page indexes continue from the pages already in the container, the same
+ * way the deck numbers its hand-written pages (position + 1).
+ *
+ * @param {HTMLElement} container - The `#scroll-container` element.
+ * @param {{ text: string }[]} pages - Pages from `splitPages`.
+ *
+ * @returns {HTMLDivElement[]} The created page elements.
+ */
+export function renderPages(container, pages) {
+  const end = container.querySelector(":scope > .end"),
+    offset = container.querySelectorAll(":scope > div.content").length;
+
+  return pages.map((page, i) => {
+    const el = createPage(page, i + 1, offset + i + 1);
+    container.insertBefore(el, end);
+    return el;
+  });
+}
+
+/**
+ * Removes the pages previously added with `renderPages`.
+ *
+ * @param {HTMLElement} container - The `#scroll-container` element.
+ */
+export function clearPages(container) {
+  container
+    .querySelectorAll(":scope > div.content[data-generated]")
+    .forEach((el) => el.remove());
+}
@@ -0,0 +1,382 @@
+import {
+  chordProPages,
+  parseChordPro,
+  transposeSong,
+} from "../chords/chordpro";
+import {
+  checkChordName,
+  nameTabChords,
+  shapePitches,
+} from "../chords/identify";
+import {
+  addToChordSheet,
+  buildChordBook,
+  headerChords,
+  loadSavedChords,
+  parseChordSheet,
+} from "../chords/sheet";
+import { findVoicings } from "../chords/voicing";
+import { convertHarmonicaTab } from "../harmonica/convert";
+import { changeHarmonicaKey, planHarpChange } from "../harmonica/key";
+import { parseHarmonicaTab } from "../harmonica/parse";
+import { pagesOf } from "../library/manifest";
+import { arrangeTab } from "../tabs/arrange";
+import { INSTRUMENTS, detectInstrument } from "../tabs/instruments";
+import { transposeTab } from "../tabs/transpose";
+import { parseTuning } from "../tabs/tuning";
+import { clearPages, renderPages } from "./pages";
+
+// The library's chord sheet, which voicings saved in this browser join.
+const CHORD_SHEET = "Tabs/Open Chords/Open Chords.md";
+
+/**
+ * Draws songs from the library into the deck as the reader has them set:
+ * transposed, arranged for another instrument, re-keyed for another harp,
+ * with chord boxes over their sections and each measure named on hover.
+ * What a song loses on the way is said in `.song-status`.
+ *
+ * @param {object} options
+ * @param {HTMLElement} options.container - The `#scroll-container` element.
+ * @param {object[]} options.library - Entries from `buildManifest` and imports.
+ * @param {() => { semitones: number, capo: number, tuning: string, instrument: string }} options.getTransposition
+ * @param {() => string} options.getHarmonicaNotation - "", `signed` or `arrows`.
+ * @param {() => { harp: string, position: number, songKey: string }} options.getHarpChange
+ * @param {() => number} options.getBeatsPerMeasure - Beats in a measure.
+ * @param {() => void} [options.onRender] - A song was drawn.
+ */
+export function createSongView({
+  container,
+  library,
+  getTransposition,
+  getHarmonicaNotation,
+  getHarpChange,
+  getBeatsPerMeasure,
+  onRender = () => {},
+}) {
+  // What drawing the song left out or couldn't read, for the status line
+  // under the song controls. Every song drawn starts it afresh.
+  let songNotes = [];
+  function noteSong(note) {
+    if (note && !songNotes.includes(note)) songNotes.push(note);
+    document.querySelectorAll(".song-status").forEach((status) => {
+      status.textContent = songNotes.join(" ");
+    });
+  }
+
+  const countNotes = (count) => `${count} note${count === 1 ? "" : "s"}`;
+
+  let currentEntry = null,
+    deck = container.querySelectorAll(":scope > div.content");
+  const pageSources = new WeakMap();
+
+  // Only tab can be re-fretted, and ChordPro songs' chords transposed;
+  // other formats render as written. An empty or unreadable tuning, or one
+  // for another number of strings, keeps the one the tab was written for.
+  function transposePages(entry, pages) {
+    const { semitones, capo } = getTransposition();
+    if (entry.format === "chordpro") {
+      return semitones === capo
+        ? pages
+        : chordPro(entry, () =>
+            chordProPages(
+              transposeSong(parseChordPro(entry.read()), semitones - capo),
+            ),
+          ) || pages;
+    }
+    if (entry.format !== "tab") return pages;
+
+    const instrument = detectInstrument(entry.read()),
+      written = instrument.tuning,
+      chosen = parseTuning(getTransposition().tuning, instrument.strings),
+      target = chosen && chosen.length === written.length ? chosen : written;
+    if (!semitones && !capo && target.join() === written.join()) {
+      return pages;
+    }
+
+    let left = 0;
+    const transposed = pages.map((page) => {
+      try {
+        const { text, dropped } = transposeTab(page.text, {
+          semitones,
+          capo,
+          tuning: written,
+          target,
+          frets: instrument.frets,
+        });
+        left += dropped.length;
+        return { ...page, text };
+      } catch (error) {
+        if (error.name !== "TabSyntaxError") throw error;
+        return page;
+      }
+    });
+    if (left) noteSong(`Left out ${countNotes(left)} with no fret to go to.`);
+    return transposed;
+  }
+
+  // Runs `read` over a ChordPro song, or gives `null` if it can't be read.
+  function chordPro(entry, read) {
+    try {
+      return read();
+    } catch (error) {
+      if (error.name !== "ChordProSyntaxError") throw error;
+      noteSong(`Can't read ${entry.path}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // The instrument a tab is shown for: the one chosen to arrange it for,
+  // or the one it was written for.
+  function arrangedFor(entry) {
+    const written = detectInstrument(entry.read()),
+      { instrument } = getTransposition();
+    if (!instrument || instrument === written.id) return written;
+    return {
+      id: instrument,
+      ...INSTRUMENTS[instrument],
+      tuning: INSTRUMENTS[instrument].strings,
+    };
+  }
+
+  // Tab arranged for another instrument, after any transposing.
+  function arrangePages(entry, pages) {
+    if (entry.format !== "tab") return pages;
+    const { id, name } = arrangedFor(entry);
+    if (id === detectInstrument(entry.read()).id) return pages;
+
+    let left = 0;
+    const arranged = pages.map((page) => {
+      try {
+        const { text, dropped } = arrangeTab(page.text, id);
+        left += dropped.length;
+        return { ...page, text };
+      } catch (error) {
+        if (error.name !== "TabSyntaxError") throw error;
+        return page;
+      }
+    });
+    if (left) noteSong(`Left out ${countNotes(left)} arranging for ${name}.`);
+    return arranged;
+  }
+
+  // Harmonica tabs can be shown in either notation; "" keeps the file's.
+  function notatePages(entry, pages) {
+    const notation = getHarmonicaNotation();
+    if (entry.instrument !== "harmonica" || !notation) return pages;
+    return pages.map((page) => ({
+      ...page,
+      text: convertHarmonicaTab(page.text, notation),
+    }));
+  }
+
+  // The harp a harmonica song is written for and the one it's played on,
+  // as `planHarpChange` gives them. Library tabs don't say which position
+  // they're played in, so they're read as 1st position on the harp they
+  // name, or a C harp.
+  function harpPlanOf(entry) {
+    const written = {
+      harp: parseHarmonicaTab(entry.read()).key || "C",
+      position: 1,
+    };
+    return planHarpChange(written, getHarpChange());
+  }
+
+  function rekeyPages(entry, pages) {
+    const { harp, position, songKey } = getHarpChange();
+    if (entry.instrument !== "harmonica" || (!harp && !position && !songKey)) {
+      return pages;
+    }
+
+    const { from, to, semitones } = harpPlanOf(entry);
+
+    const missing = new Set(),
+      rekeyed = pages.map((page) => {
+        const { text, unplayable } = changeHarmonicaKey(page.text, {
+          from,
+          to,
+          semitones,
+        });
+        unplayable.forEach(({ pitches }) => missing.add(pitches.join("+")));
+        return { ...page, text };
+      });
+    if (missing.size) {
+      noteSong(`Not playable on a ${to} harp: ${[...missing].join(", ")}.`);
+    }
+    return rekeyed;
+  }
+
+  // Voicings saved in this browser read as part of the chord sheet, as if
+  // they had been written into the file.
+  const chordSheet = library.find((entry) => entry.id === CHORD_SHEET);
+  if (chordSheet) {
+    const readSheet = chordSheet.read;
+    chordSheet.read = () =>
+      loadSavedChords().reduce(addToChordSheet, readSheet());
+  }
+
+  // Shapes from the library's chord sheets, for the chords tab sections
+  // name in their headers.
+  let chordBook;
+  function loadChordBook() {
+    chordBook = buildChordBook(
+      library
+        .filter((entry) => entry.format === "chords")
+        .map((entry) => entry.read()),
+    );
+  }
+  loadChordBook();
+
+  // What a shape reads as, when that isn't the name written for it.
+  function shapeHint({ name, frets }, tuning) {
+    const { rank, names } = checkChordName(name, shapePitches(frets, tuning));
+    return rank === 0 || !names.length ? "" : `reads as ${names[0].name}`;
+  }
+
+  // Chords a header names without a shape get the voicing easiest to
+  // reach from the chord before, marked as a suggestion. Searching takes a
+  // moment, so each is kept for the next render.
+  const suggestedVoicings = new Map();
+  function suggestShapes(chords, tuning) {
+    let previous = null;
+    return chords.flatMap((chord) => {
+      if (chord.frets?.length === tuning.length) {
+        previous = chord.frets;
+        return [chord];
+      }
+      const key = [chord.name, previous, tuning].join("|");
+      if (!suggestedVoicings.has(key)) {
+        const [voicing] = findVoicings(chord.name, {
+          tuning,
+          previous,
+          limit: 1,
+        });
+        suggestedVoicings.set(key, voicing || null);
+      }
+      const voicing = suggestedVoicings.get(key);
+      if (!voicing) return [];
+      previous = voicing.frets;
+      return [{ ...chord, frets: voicing.frets, hint: "suggested voicing" }];
+    });
+  }
+
+  // A chord sheet page shows its shape large; a tab section, a small box
+  // for each chord in its header there is a shape for. Shapes are fingered
+  // for the instrument and tuning the tab is shown for.
+  function chartPages(entry, pages) {
+    const tuning =
+      entry.format === "tab"
+        ? arrangedFor(entry).tuning
+        : detectInstrument(entry.read()).tuning;
+    return pages.map((page) => {
+      const diagrams = (
+        entry.format === "chords"
+          ? parseChordSheet(page.text).map((chord) => ({
+              ...chord,
+              scale: 2,
+            }))
+          : suggestShapes(headerChords(page.chords || "", chordBook), tuning)
+      ).map((chord) => ({
+        ...chord,
+        hint: chord.hint ?? shapeHint(chord, tuning),
+      }));
+      return diagrams.length ? { ...page, diagrams } : page;
+    });
+  }
+
+  // Names the chord each measure of a tab page spells out, on hover, and
+  // flags measures whose header names a chord the notes don't bear out.
+  function nameMeasures(page, text) {
+    let measures;
+    try {
+      measures = nameTabChords(text, {
+        beatsPerMeasure: getBeatsPerMeasure(),
+      });
+    } catch (error) {
+      if (error.name !== "TabSyntaxError") throw error;
+      return;
+    }
+    measures.forEach(({ key, chords, stacks }) => {
+      const title = [
+          chords
+            .map(({ names, written, rank }) =>
+              [
+                names[0]?.name || "?",
+                written && rank !== 0 && `(written ${written})`,
+              ]
+                .filter(Boolean)
+                .join(" "),
+            )
+            .join(" → "),
+          stacks.length &&
+            `struck: ${stacks
+              .map(({ names }) => names[0]?.name || "?")
+              .join(", ")}`,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        differs = chords.some(({ written, rank }) => written && rank < 0);
+      page
+        .querySelectorAll(`span.measure[data-measure="${key}"]`)
+        .forEach((span) => {
+          span.title = title;
+          if (differs) span.dataset.chordCheck = "differs";
+        });
+    });
+  }
+
+  /**
+   * Draws a song in place of the one shown, as the settings have it.
+   *
+   * @param {object} entry - A library entry.
+   */
+  function render(entry) {
+    songNotes = [];
+    const drawn = chartPages(
+      entry,
+      notatePages(
+        entry,
+        rekeyPages(
+          entry,
+          arrangePages(entry, transposePages(entry, pagesOf(entry))),
+        ),
+      ),
+    );
+    currentEntry = entry;
+    clearPages(container);
+    renderPages(container, drawn).forEach((el, i) => {
+      pageSources.set(el, drawn[i].text);
+      if (entry.format === "tab") nameMeasures(el, drawn[i].text);
+    });
+    deck = container.querySelectorAll(":scope > div.content");
+    onRender();
+    noteSong();
+  }
+
+  return {
+    render,
+    entry: () => currentEntry,
+    /**
+     * Every page in the deck, the controls page first.
+     */
+    pages: () => deck,
+    /**
+     * The text a page was drawn from, or "" for one it didn't draw.
+     */
+    sourceOf: (page) => pageSources.get(page) || "",
+    harpPlanOf,
+    /**
+     * Runs `read` over a ChordPro song, or gives `null`, saying why in the
+     * status line, if it can't be read.
+     */
+    readChordPro: chordPro,
+    note: noteSong,
+    /**
+     * The chord sheet entry, if the library has one.
+     */
+    chordSheet,
+    /**
+     * Reads the chord sheets again, after a voicing is saved to one.
+     */
+    loadChordBook,
+  };
+}
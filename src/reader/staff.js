@@ -0,0 +1,145 @@
+import { parseTab } from "../tabs/parse";
+
+/**
+ * Renders page text with each measure of each string line wrapped in a
+ * `span.measure`, so the playhead can find it.
+ *
+ * Spans share a `data-measure` key (`system.measure`) across the six lines of
+ * a staff. `data-columns` is the measure's width; `data-beats` is only set
+ * when the tab's beat ruler fixes the count, otherwise the time signature
+ * decides. Text the parser rejects is rendered as a single text node.
+ *
+ * @param {string} text - The page text.
+ *
+ * @returns {DocumentFragment}
+ */
+export function renderStaffText(text) {
+  const fragment = document.createDocumentFragment();
+
+  let model;
+  try {
+    model = parseTab(text);
+  } catch (error) {
+    if (error.name !== "TabSyntaxError") throw error;
+    fragment.append(text);
+    return fragment;
+  }
+
+  // Line numbers in the model are 1-based.
+  const staffLines = new Map();
+  model.systems.forEach((system) => {
+    system.strings.forEach((_string, i) => {
+      staffLines.set(system.line + i, system);
+    });
+  });
+
+  const lines = text.split("\n");
+  let plain = "";
+
+  lines.forEach((line, i) => {
+    const system = staffLines.get(i + 1),
+      newline = i < lines.length - 1 ? "\n" : "";
+
+    if (!system) {
+      plain += line + newline;
+      return;
+    }
+
+    fragment.append(plain);
+    plain = "";
+
+    let cursor = 0;
+    system.measures.forEach((measure) => {
+      // Columns are 1-based: the measure runs from the column after its
+      // opening bar up to, but not including, the closing bar.
+      const start = measure.startColumn - 1,
+        end = measure.endColumn - 1,
+        span = document.createElement("span");
+
+      fragment.append(line.slice(cursor, start));
+      span.className = "measure";
+      span.dataset.measure = `${system.index}.${measure.index}`;
+      span.dataset.columns = end - start;
+      if (system.ruler.length) span.dataset.beats = measure.beats;
+      span.textContent = line.slice(start, end);
+      fragment.append(span);
+      cursor = end;
+    });
+    plain = line.slice(cursor) + newline;
+  });
+
+  fragment.append(plain);
+  return fragment;
+}
+
+/**
+ * Lists the measures on a page in playing order.
+ *
+ * @param {HTMLElement} page
+ * @param {number} beatsPerMeasure - Used where the tab has no beat ruler.
+ *
+ * @returns {{ key: string, beats: number, columns: number, start: number }[]}
+ *   `start` is the measure's first beat counted from the top of the page.
+ */
+export function measuresOf(page, beatsPerMeasure) {
+  const measures = [];
+  let start = 0;
+
+  page.querySelectorAll("span.measure").forEach((span) => {
+    const key = span.dataset.measure;
+    if (measures.some((measure) => measure.key === key)) return;
+
+    const beats = Number(span.dataset.beats) || beatsPerMeasure;
+    measures.push({ key, beats, columns: Number(span.dataset.columns), start });
+    start += beats;
+  });
+
+  return measures;
+}
+
+/**
+ * Removes the playhead from every page under `root`.
+ *
+ * @param {HTMLElement} root
+ */
+export function clearPlayhead(root) {
+  root.querySelectorAll("span.measure.playhead").forEach((span) => {
+    span.classList.remove("playhead");
+    span.style.removeProperty("--beat-start");
+    span.style.removeProperty("--beat-width");
+  });
+  root.querySelectorAll("[data-playhead]").forEach((page) => {
+    delete page.dataset.playhead;
+  });
+}
+
+/**
+ * Moves the playhead to a beat on a page, highlighting its measure on every
+ * string line and the columns of the beat inside it.
+ *
+ * @param {HTMLElement} page
+ * @param {number} beat - Beats from the top of the page.
+ * @param {number} beatsPerMeasure
+ */
+export function showPlayhead(page, beat, beatsPerMeasure) {
+  clearPlayhead(page.parentElement || page);
+
+  const measure = measuresOf(page, beatsPerMeasure).find(
+    ({ start, beats }) => beat >= start && beat < start + beats,
+  );
+  if (!measure) return;
+
+  // The first column after a bar is padding; beats share out the rest.
+  const columnsPerBeat = measure.columns / measure.beats,
+    offset = 1 + (beat - measure.start) * columnsPerBeat,
+    width = Math.min(columnsPerBeat, measure.columns - offset);
+
+  page.dataset.playhead = beat;
+  page
+    .querySelectorAll(`span.measure[data-measure="${measure.key}"]`)
+    .forEach((span) => {
+      span.classList.add("playhead");
+      span.style.setProperty("--beat-start", offset);
+      span.style.setProperty("--beat-width", width);
+    });
+}
@@ -0,0 +1,59 @@
+import { createTakeRecorder, saveTake } from "./take";
+
+/**
+ * Records practice takes from the `[data-transport="record"]` buttons, which
+ * stay pressed while a take runs. A take runs until stopped there, whether
+ * or not the pages play, and is saved in this browser when it ends.
+ *
+ * @param {object} options
+ * @param {() => { song: string, bpm: number, timeSignature: string, page: number }} options.getDetails
+ *   What a take starts from.
+ */
+export function createTakeControls({ getDetails }) {
+  const recorder = createTakeRecorder(),
+    buttons = document.querySelectorAll('[data-transport="record"]');
+  let page = null;
+
+  const press = (on) =>
+    buttons.forEach((button) =>
+      button.setAttribute("aria-pressed", String(on)),
+    );
+
+  function stop() {
+    const take = recorder.stop();
+    press(false);
+    if (take) saveTake(take);
+  }
+
+  function toggle() {
+    if (recorder.isRecording()) {
+      stop();
+      return;
+    }
+    const details = getDetails();
+    page = details.page;
+    recorder.start(details);
+    press(true);
+  }
+
+  return {
+    toggle,
+    stop,
+    /**
+     * Notes a page turn in the take, if it is to another page.
+     *
+     * @param {number} index
+     */
+    turn: (index) => {
+      if (index === page) return;
+      page = index;
+      recorder.mark("turn", { page: index });
+    },
+    /**
+     * Notes a tapped tempo in the take.
+     *
+     * @param {number} bpm
+     */
+    tap: (bpm) => recorder.mark("tap", { bpm }),
+  };
+}
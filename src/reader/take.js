@@ -0,0 +1,73 @@
+const STORAGE_KEY = "practice-takes";
+
+/**
+ * Records a practice take: every BPM tap and page turn with the time it
+ * happened, measured in milliseconds from the start of the take.
+ *
+ * @param {{ now?: () => number }} [options] - Clock, `performance.now` by default.
+ */
+export function createTakeRecorder({ now = () => performance.now() } = {}) {
+  let take = null,
+    startedAt = 0;
+
+  function start(details = {}) {
+    startedAt = now();
+    take = {
+      recordedAt: new Date().toISOString(),
+      ...details,
+      duration: 0,
+      events: [],
+    };
+  }
+
+  /**
+   * Adds an event to the running take. Ignored when nothing is recording.
+   *
+   * @param {"tap"|"turn"} type
+   * @param {object} [details] - e.g. `{ page }` or `{ bpm }`.
+   */
+  function mark(type, details = {}) {
+    if (!take) return;
+    take.events.push({ type, at: Math.round(now() - startedAt), ...details });
+  }
+
+  /**
+   * Ends the take and returns it, or `null` when nothing was recording.
+   */
+  function stop() {
+    if (!take) return null;
+    const finished = take;
+    finished.duration = Math.round(now() - startedAt);
+    take = null;
+    return finished;
+  }
+
+  return {
+    start,
+    mark,
+    stop,
+    isRecording: () => take !== null,
+  };
+}
+
+/**
+ * Reads the takes saved in this browser, oldest first.
+ */
+export function loadTakes() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Appends a take to the ones saved in this browser.
+ *
+ * @returns {object[]} Every saved take.
+ */
+export function saveTake(take) {
+  const takes = [...loadTakes(), take];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(takes));
+  return takes;
+}
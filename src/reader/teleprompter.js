@@ -0,0 +1,105 @@
+// Reading speed when the page has no line height to measure.
+const FALLBACK_LINE_HEIGHT = 48;
+
+// The height of a line of text in pixels, read from the page's style.
+function lineHeightOf(el) {
+  const style = getComputedStyle(el),
+    height = parseFloat(style.lineHeight);
+  if (height) return height;
+  return parseFloat(style.fontSize) * 1.2 || FALLBACK_LINE_HEIGHT;
+}
+
+/**
+ * Scrolls a page of lyrics smoothly, a line at a time to the tempo.
+ *
+ * The page moves up `linesPerBar` lines for every measure at the current
+ * BPM and time signature, read again on every frame so a tempo change
+ * takes effect at once. Scrolling by hand while it runs or is paused moves
+ * the reading point with it. Reaching the bottom of the page pauses.
+ *
+ * @param {object} options
+ * @param {() => number} options.getBpm - Current tempo.
+ * @param {() => number} options.getBeatsPerMeasure - Beats in a measure.
+ * @param {() => number} options.getLinesPerBar - Lines sung in a measure.
+ * @param {(running: boolean) => void} [options.onChange] - Scrolling or paused.
+ */
+export function createTeleprompter({
+  getBpm,
+  getBeatsPerMeasure,
+  getLinesPerBar,
+  onChange = () => {},
+}) {
+  let page = null,
+    frame = null,
+    last = null,
+    position = 0;
+
+  // Lines per second, from beats per second over beats per measure.
+  const rate = () =>
+    ((Number(getBpm()) || 100) / 60 / (getBeatsPerMeasure() || 4)) *
+    (Number(getLinesPerBar()) || 1);
+
+  function step(now) {
+    // The browser rounds `scrollTop`, so anything further off is the reader.
+    if (Math.abs(page.scrollTop - position) > 1) position = page.scrollTop;
+    if (last !== null) {
+      position += ((now - last) / 1000) * rate() * lineHeightOf(page);
+      page.scrollTop = position;
+    }
+    last = now;
+
+    if (position >= page.scrollHeight - page.clientHeight) {
+      pause();
+      return;
+    }
+    frame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Scrolls a page, from where it is scrolled to.
+   *
+   * @param {HTMLElement} el - The page; it must scroll on its own.
+   */
+  function start(el) {
+    pause();
+    page = el;
+    if (!page) return;
+    position = page.scrollTop;
+    last = null;
+    frame = requestAnimationFrame(step);
+    onChange(true);
+  }
+
+  function pause() {
+    if (frame === null) return;
+    cancelAnimationFrame(frame);
+    frame = null;
+    onChange(false);
+  }
+
+  /**
+   * Pauses, or scrolls a page, by default the one it was scrolling.
+   *
+   * @param {HTMLElement} [el]
+   */
+  function toggle(el = page) {
+    if (frame !== null) {
+      pause();
+    } else {
+      start(el);
+    }
+  }
+
+  function stop() {
+    pause();
+    page = null;
+  }
+
+  return {
+    start,
+    pause,
+    toggle,
+    stop,
+    isRunning: () => frame !== null,
+  };
+}
@@ -0,0 +1,193 @@
+import { INSTRUMENTS, INSTRUMENT_LINE, detectInstrument } from "./instruments";
+import { parseTab } from "./parse";
+import { TUNING_LINE, formatTuning, stringName } from "./tuning";
+
+const isDigit = (char) => char >= "0" && char <= "9";
+
+// What leaving a note out costs against moving the hand a fret; the top
+// and bass notes cost the most to lose.
+const LEFT_OUT = 100;
+
+// A fret may only go on dashes, and must not run into a neighbour's digits.
+function fits(line, start, end) {
+  return (
+    start > 0 &&
+    line.slice(start, end + 1).every((char) => char === "-") &&
+    !isDigit(line[start - 1] || "") &&
+    !isDigit(line[end + 1] || "")
+  );
+}
+
+// Top note first, then the bass, then the rest from the top down.
+function byImportance(notes) {
+  const sorted = [...notes].sort((a, b) => b.pitch - a.pitch);
+  return sorted.length > 1
+    ? [sorted[0], sorted[sorted.length - 1], ...sorted.slice(1, -1)]
+    : sorted;
+}
+
+/**
+ * Arranges tab for another fretted instrument, e.g. guitar tab for ukulele.
+ *
+ * Each staff is rewritten with the new instrument's strings, every note in
+ * the column it was written in. Notes out of the instrument's range move by
+ * octaves until they fit. The notes struck together are shared out among
+ * the strings so the hand moves as little as it can; where there are more
+ * notes than strings, or no string can take one, the top and bass notes are
+ * kept first and the rest are left out and reported. Fingering rows are
+ * dropped, being for the other instrument; annotations, rulers and section
+ * headers are kept, and a `Tuning:` or `Instrument:` line is rewritten.
+ *
+ * @param {string} source - Tab text.
+ * @param {string} to - A key of `INSTRUMENTS`.
+ * @param {{ tuning?: number[] }} [options] - The tuning the tab is written
+ *   for; read from the tab by default.
+ *
+ * @returns {{ text: string, octave: object[], dropped: object[] }}
+ *   The new text, plus the notes moved by an octave or left out, each with
+ *   its original `line` and `column`.
+ *
+ * @throws {TabSyntaxError} When the source cannot be parsed.
+ */
+export function arrangeTab(source, to, options = {}) {
+  const { tuning = detectInstrument(source).tuning } = options,
+    target = INSTRUMENTS[to],
+    open = target.strings,
+    low = Math.min(...open),
+    high = Math.max(...open) + target.frets,
+    model = parseTab(source, { strings: tuning.length }),
+    lines = source.replace(/\r\n?/g, "\n").split("\n"),
+    octave = [],
+    dropped = [];
+
+  // Bottom up, so replacing a staff never moves one still to come.
+  [...model.systems].reverse().forEach((system) => {
+    const first = system.line - 1,
+      staff = lines.slice(first, first + tuning.length),
+      width = staff[0].indexOf("|"),
+      length = Math.max(...staff.map((line) => line.length)),
+      ruled = [...staff[0].padEnd(length, "-").slice(width)].map((char) =>
+        char === "|" ? "|" : "-",
+      ),
+      rows = open.map((pitch) => [
+        ...stringName(pitch).padEnd(width),
+        ...ruled,
+      ]);
+    let hand = null;
+
+    system.measures
+      .flatMap((measure) => measure.events)
+      .sort((a, b) => a.column - b.column)
+      .forEach((event) => {
+        const notes = new Map();
+        event.notes
+          .filter((note) => note.fret !== null)
+          .forEach((note) => {
+            const line = lines[note.line - 1],
+              anchor = note.column - 1 + String(note.fret).length - 1,
+              written = tuning[note.string] + note.fret;
+            let pitch = written,
+              sustain = 0;
+            while (pitch < low) pitch += 12;
+            while (pitch > high) pitch -= 12;
+            while (line[anchor + sustain + 1] === "=") sustain++;
+            if (pitch !== written) {
+              octave.push({ line: note.line, column: note.column, pitch });
+            }
+            const same = notes.get(pitch);
+            if (!same || same.sustain < sustain) {
+              notes.set(pitch, { ...note, pitch, anchor, sustain });
+            }
+          });
+
+        // Tries every way of giving the notes a string each, most important
+        // first, for the one that costs least.
+        const ranked = byImportance([...notes.values()]);
+        let best = { cost: Infinity, placed: [] };
+        const search = (index, used, cost, placed) => {
+          if (cost >= best.cost) return;
+          if (index === ranked.length) {
+            best = { cost, placed };
+            return;
+          }
+          const note = ranked[index];
+          open.forEach((pitch, string) => {
+            const fret = note.pitch - pitch,
+              digits = String(fret);
+            if (used.has(string) || fret < 0 || fret > target.frets) return;
+            if (
+              !fits(rows[string], note.anchor - digits.length + 1, note.anchor)
+            ) {
+              return;
+            }
+            const moved = fret === 0 ? 0 : Math.abs(fret - (hand ?? fret)),
+              step = moved + fret / 10;
+            search(index + 1, new Set([...used, string]), cost + step, [
+              ...placed,
+              { note, string, fret },
+            ]);
+          });
+          search(
+            index + 1,
+            used,
+            cost + LEFT_OUT * (ranked.length - index),
+            placed,
+          );
+        };
+        search(0, new Set(), 0, []);
+
+        best.placed.forEach(({ note, string, fret }) => {
+          const row = rows[string],
+            digits = String(fret);
+          row.splice(note.anchor - digits.length + 1, digits.length, ...digits);
+          for (
+            let i = 1;
+            i <= note.sustain && row[note.anchor + i] === "-";
+            i++
+          ) {
+            row[note.anchor + i] = "=";
+          }
+        });
+        ranked
+          .filter((note) => !best.placed.some((placed) => placed.note === note))
+          .forEach((note) =>
+            dropped.push({
+              line: note.line,
+              column: note.column,
+              string: note.string,
+              fret: note.fret,
+            }),
+          );
+
+        const fretted = best.placed.filter(({ fret }) => fret > 0);
+        if (fretted.length) {
+          hand =
+            fretted.reduce((sum, { fret }) => sum + fret, 0) / fretted.length;
+        }
+      });
+
+    // Fingering rows sit below the staff, so they go first.
+    [...new Set(system.fingerings.map((fingering) => fingering.line - 1))]
+      .sort((a, b) => b - a)
+      .forEach((index) => lines.splice(index, 1));
+    lines.splice(
+      first,
+      tuning.length,
+      ...rows.map((row) => row.join("").trimEnd()),
+    );
+  });
+
+  const text = lines
+    .map((line) => {
+      if (TUNING_LINE.test(line)) {
+        return line.replace(/(Tuning:[ \t]*).*$/i, `$1${formatTuning(open)}`);
+      }
+      if (INSTRUMENT_LINE.test(line)) {
+        return line.replace(/(Instrument:[ \t]*).*$/i, `$1${target.name}`);
+      }
+      return line;
+    })
+    .join("\n");
+
+  return { text, octave, dropped };
+}
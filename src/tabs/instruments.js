@@ -0,0 +1,104 @@
+import {
+  FRET_LIMIT,
+  STANDARD_TUNING,
+  detectTuning,
+  pitchClass,
+} from "./tuning";
+
+// A string line of a staff, such as `E|---` or `Bb|---`.
+const STRING_LABEL = /^([A-Ga-g])([#b♯♭]?) *\|/;
+
+/**
+ * Matches an `Instrument: ...` line. Group 1 names the instrument.
+ */
+export const INSTRUMENT_LINE = /^[ \t]*Instrument:[ \t]*(.+?)[ \t]*$/im;
+
+/**
+ * Fretted instruments the reader knows, with their usual tuning top line
+ * first like `STANDARD_TUNING`, and the highest fret worth writing.
+ */
+export const INSTRUMENTS = {
+  guitar: { name: "Guitar", strings: STANDARD_TUNING, frets: FRET_LIMIT },
+  "seven-string": {
+    name: "7-string guitar (BEADGBE)",
+    strings: [...STANDARD_TUNING, 35],
+    frets: 24,
+  },
+  bass: { name: "Bass (EADG)", strings: [43, 38, 33, 28], frets: 20 },
+  ukulele: { name: "Ukulele (GCEA)", strings: [69, 64, 60, 67], frets: 15 },
+  "baritone-ukulele": {
+    name: "Baritone ukulele (DGBE)",
+    strings: [64, 59, 55, 50],
+    frets: 19,
+  },
+  mandolin: { name: "Mandolin (GDAE)", strings: [76, 69, 62, 55], frets: 20 },
+  // The fifth string is the short drone, written on the bottom line.
+  banjo: { name: "Banjo (gDGBD)", strings: [62, 59, 55, 50, 67], frets: 22 },
+};
+
+/**
+ * Looks an instrument up by its key or display name, e.g. `ukulele` or
+ * `Baritone Ukulele`.
+ *
+ * @param {string} name
+ *
+ * @returns {string|null} Its key in `INSTRUMENTS`.
+ */
+export function findInstrument(name) {
+  const wanted = String(name).trim().toLowerCase();
+  return (
+    Object.keys(INSTRUMENTS).find(
+      (id) =>
+        id === wanted ||
+        INSTRUMENTS[id].name.toLowerCase() === wanted ||
+        INSTRUMENTS[id].name.toLowerCase().split(" (")[0] === wanted,
+    ) || null
+  );
+}
+
+/**
+ * Works out which instrument a tab is written for, and its tuning.
+ *
+ * An `Instrument: ukulele` line wins. Otherwise the first staff decides: an
+ * instrument with that many strings, the one whose open strings match the
+ * labels if more than one does. Anything else is read as guitar.
+ *
+ * @param {string} source - Tab text.
+ *
+ * @returns {{ id: string, name: string, strings: number[], frets: number, tuning: number[] }}
+ *   `strings` is the instrument's usual tuning; `tuning` the one the tab is
+ *   written for, both top line first.
+ */
+export function detectInstrument(source) {
+  const line = source.match(INSTRUMENT_LINE);
+  let id = line && findInstrument(line[1]);
+
+  if (!id) {
+    const lines = source.split(/\r?\n/),
+      first = lines.findIndex((text) => STRING_LABEL.test(text)),
+      labels = [];
+    for (let i = first; i >= 0 && i < lines.length; i++) {
+      const match = lines[i].match(STRING_LABEL);
+      if (!match) break;
+      labels.push(pitchClass(match[1], match[2]));
+    }
+    const fitting = Object.keys(INSTRUMENTS).filter(
+      (key) => INSTRUMENTS[key].strings.length === labels.length,
+    );
+    id =
+      fitting.find((key) =>
+        INSTRUMENTS[key].strings.every(
+          (pitch, string) => pitch % 12 === labels[string],
+        ),
+      ) ||
+      fitting[0] ||
+      "guitar";
+  }
+
+  const instrument = INSTRUMENTS[id];
+  return {
+    id,
+    ...instrument,
+    tuning: detectTuning(source, instrument.strings),
+  };
+}
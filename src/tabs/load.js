@@ -0,0 +1,40 @@
+import { splitPages } from "./pages";
+
+// Every `.tab` under Tabs/ is bundled as raw text, so a new song only needs
+// a file dropped into that folder.
+const tabFiles = require.context("../../Tabs", true, /\.tab$/);
+
+/**
+ * Lists the bundled tab files.
+ *
+ * @returns {string[]} Paths relative to `Tabs/`, e.g. `Moonlight Sonata_/Moonlight Sonata: Movement 1.tab`.
+ */
+export function listTabs() {
+  return tabFiles.keys().map((key) => key.replace(/^\.\//, ""));
+}
+
+/**
+ * Reads the raw text of a bundled tab file.
+ *
+ * @param {string} path - Path relative to `Tabs/` (a leading `Tabs/` is ignored).
+ *
+ * @throws {Error} If no bundled tab matches the path.
+ */
+export function readTab(path) {
+  const key = `./${path.replace(/^(\.\/)?(Tabs\/)?/, "")}`;
+  if (!tabFiles.keys().includes(key)) {
+    throw new Error(`No tab file found at Tabs/${key.slice(2)}`);
+  }
+  return tabFiles(key);
+}
+
+/**
+ * Loads a bundled tab file and splits it into reader pages.
+ *
+ * @param {string} path - Path relative to `Tabs/` (a leading `Tabs/` is ignored).
+ *
+ * @throws {Error} If no bundled tab matches the path.
+ */
+export function loadTab(path) {
+  return splitPages(readTab(path));
+}
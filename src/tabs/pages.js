@@ -0,0 +1,57 @@
+/**
+ * Matches a section header such as `(2.) ___ F sans5 => Dm ♯5, A(var)`.
+ * Group 1 is the section number, group 2 the (possibly empty) chord label.
+ *
+ * A header is a line of its own: the section number in brackets with a
+ * dot, then three underscores, then the chords the section moves
+ * through, written however reads best. Tab files don't come with these;
+ * they're added by hand above each system to page it, as in the Moonlight
+ * tab (see the README).
+ */
+export const SECTION_HEADER = /^\s*\((\d+)\.\)\s*___[ \t]*(.*)$/;
+
+/**
+ * Splits tab source text into pages at its `(n.) ___ Chord` section headers.
+ *
+ * Anything before the first header (title, credits, notes) becomes the
+ * opening page. A file without headers comes back as a single page.
+ *
+ * @param {string} source - The raw text of a `.tab` file.
+ *
+ * @returns {{ section: number|null, chords: string, text: string }[]} The pages, in order.
+ */
+export function splitPages(source) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n"),
+    pages = [];
+  let current = { section: null, chords: "", lines: [] };
+
+  lines.forEach((line) => {
+    const match = line.match(SECTION_HEADER);
+    if (match) {
+      pages.push(current);
+      current = {
+        section: Number(match[1]),
+        chords: match[2].trim(),
+        lines: [],
+      };
+    }
+    current.lines.push(line);
+  });
+  pages.push(current);
+
+  return pages
+    .map(({ section, chords, lines }) => ({
+      section,
+      chords,
+      text: trimBlankLines(lines).join("\n"),
+    }))
+    .filter((page) => page.section !== null || page.text !== "");
+}
+
+function trimBlankLines(lines) {
+  let start = 0,
+    end = lines.length;
+  while (start < end && lines[start].trim() === "") start++;
+  while (end > start && lines[end - 1].trim() === "") end--;
+  return lines.slice(start, end).map((line) => line.trimEnd());
+}
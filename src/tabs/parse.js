@@ -0,0 +1,481 @@
+import { detectInstrument } from "./instruments";
+import { SECTION_HEADER } from "./pages";
+
+/**
+ * Thrown when tab text cannot be parsed. `line` and `column` are 1-based and
+ * point at the offending character in the source.
+ */
+export class TabSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "TabSyntaxError";
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Labels may be padded to line up, as in `E |` above `Bb|`.
+const STRING_LINE = /^([A-Ga-g][#b♯♭]?) *\|/;
+const RULER_LINE = /^\s*\|(?:\s+\|)+\s*$/;
+const SEPARATOR_LINE = /^\s*~{4,}\s*$/;
+const FINGERING_LINE = /^[\d\s]+$/;
+const ROMAN_BARRE = /^(XII|XI|X|IX|VIII|VII|VI|V|IV|III|II|I)([.<>]*)$/;
+const DYNAMICS = new Set([
+  "ppp",
+  "pp",
+  "p",
+  "mp",
+  "mf",
+  "f",
+  "ff",
+  "fff",
+  "cresc",
+  "decresc",
+  "dim",
+  "<",
+  ">",
+]);
+const ROMAN_VALUES = {
+  I: 1,
+  II: 2,
+  III: 3,
+  IV: 4,
+  V: 5,
+  VI: 6,
+  VII: 7,
+  VIII: 8,
+  IX: 9,
+  X: 10,
+  XI: 11,
+  XII: 12,
+};
+const TECHNIQUES = "hpsb/\\r~";
+
+// Onsets are snapped to a twelfth of a beat, which holds both the triplet
+// arpeggios and the sixteenth-note runs in the Moonlight tab.
+const GRID = 12;
+
+/**
+ * Parses a chord label from a section header, e.g. `F sans5 => Dm ♯5, A(var)`.
+ *
+ * Commas separate measures and `=>` separates changes within a measure.
+ *
+ * @param {string} label
+ *
+ * @returns {{ measure: number, chords: { name: string, variation: boolean, shape: string|null }[] }[]}
+ */
+export function parseChordLabel(label) {
+  return label
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part, measure) => ({
+      measure,
+      chords: part
+        .split("=>")
+        .map((text) => text.trim())
+        .filter(Boolean)
+        .map((text) => {
+          const shape = text.match(/\(([X\d](?:\s+[X\d]){3,})\)/i);
+          return {
+            name: text
+              .replace(/\((?:var|[X\d](?:\s+[X\d]){3,})\)/gi, "")
+              .trim(),
+            variation: /\(var\)/i.test(text),
+            shape: shape ? shape[1] : null,
+          };
+        }),
+    }));
+}
+
+function parseAnnotationLine(text, lineNumber) {
+  const tokens = [...text.matchAll(/\S+/g)],
+    barres = [],
+    annotations = [];
+  let half = false;
+
+  tokens.forEach((token) => {
+    const value = token[0],
+      column = token.index + 1,
+      barre = value.match(ROMAN_BARRE);
+
+    if (value === "1/2") {
+      half = true;
+    } else if (barre) {
+      barres.push({
+        fret: ROMAN_VALUES[barre[1]],
+        half,
+        line: lineNumber,
+        column,
+        endColumn: column + value.replace(/[<>]+$/, "").length - 1,
+      });
+      half = false;
+    } else if (DYNAMICS.has(value)) {
+      annotations.push({
+        type: "dynamic",
+        text: value,
+        line: lineNumber,
+        column,
+      });
+    }
+  });
+
+  // A line with no barres or dynamics is free text such as a tempo marking.
+  if (!barres.length && !annotations.length) {
+    const column = text.search(/\S/) + 1;
+    return {
+      barres,
+      annotations: [
+        { type: "text", text: text.trim(), line: lineNumber, column },
+      ],
+    };
+  }
+  return { barres, annotations };
+}
+
+/**
+ * Reads one string line into its bar columns and notes.
+ *
+ * Columns here are 0-based offsets into the line; they are converted to
+ * 1-based columns on the way out.
+ */
+function parseStringLine(line, lineNumber, stringIndex) {
+  const text = line.trimEnd(),
+    bars = [],
+    notes = [];
+  let technique = null;
+
+  for (let i = text.indexOf("|"); i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "|") {
+      bars.push(i);
+      technique = null;
+    } else if (/\d/.test(char)) {
+      let end = i;
+      while (/\d/.test(text[end + 1] || "")) end++;
+      if (end - i > 1) {
+        throw new TabSyntaxError(
+          `Fret number "${text.slice(i, end + 1)}" is out of range`,
+          lineNumber,
+          i + 1,
+        );
+      }
+      let sustain = end;
+      while (text[sustain + 1] === "=" || text[sustain + 1] === "|") {
+        sustain++;
+      }
+      while (text[sustain] === "|") sustain--;
+      notes.push({
+        string: stringIndex,
+        fret: Number(text.slice(i, end + 1)),
+        technique,
+        sustainColumns: sustain - end,
+        line: lineNumber,
+        column: i + 1,
+        anchor: end,
+      });
+      technique = null;
+      i = end;
+    } else if (char === "x" || char === "X") {
+      notes.push({
+        string: stringIndex,
+        fret: null,
+        technique,
+        sustainColumns: 0,
+        line: lineNumber,
+        column: i + 1,
+        anchor: i,
+      });
+      technique = null;
+    } else if (TECHNIQUES.includes(char)) {
+      technique = char;
+    } else if (char !== "-" && char !== "=") {
+      throw new TabSyntaxError(
+        `Unexpected "${char}" in string line`,
+        lineNumber,
+        i + 1,
+      );
+    }
+  }
+
+  if (text.slice(-1) !== "|") {
+    throw new TabSyntaxError(
+      "String line must end with a bar line",
+      lineNumber,
+      text.length + 1,
+    );
+  }
+
+  return { bars, notes };
+}
+
+function snap(value) {
+  return Math.max(0, Math.round(value * GRID) / GRID);
+}
+
+function buildStaff(staffLines, pending, options) {
+  const [first] = staffLines,
+    parsed = staffLines.map(({ text, line }, index) =>
+      parseStringLine(text, line, index),
+    ),
+    bars = parsed[0].bars;
+
+  if (bars.length < 2) {
+    throw new TabSyntaxError("Staff has no complete measure", first.line, 1);
+  }
+
+  // Every line must share the bar columns of the first. A sustain (`=`) may
+  // run through a bar line, as the bass notes in the Moonlight tab do.
+  parsed.slice(1).forEach(({ bars: lineBars }, index) => {
+    const { text, line } = staffLines[index + 1];
+    bars.forEach((bar) => {
+      if (text[bar] !== "|" && text[bar] !== "=") {
+        throw new TabSyntaxError(
+          "Bar line does not line up with the staff above",
+          line,
+          bar + 1,
+        );
+      }
+    });
+    const last = lineBars[lineBars.length - 1];
+    if (last !== bars[bars.length - 1]) {
+      throw new TabSyntaxError(
+        "String line length does not match the staff above",
+        line,
+        Math.min(last, bars[bars.length - 1]) + 1,
+      );
+    }
+  });
+
+  const measures = bars.slice(0, -1).map((bar, index) => {
+    const next = bars[index + 1],
+      // Ruler ticks sit one column right of the notes they mark.
+      ticks = (pending.ruler || []).filter(
+        (column) => column - 1 >= bar + 2 && column - 1 <= next,
+      ),
+      beats = ticks.length || options.beatsPerMeasure,
+      width = next - bar - 1;
+
+    // `bar` and `next` are 0-based; the model reports 1-based columns.
+    return {
+      index,
+      beats,
+      startColumn: bar + 2,
+      endColumn: next + 1,
+      bar,
+      columnsPerBeat: width / beats,
+      events: [],
+    };
+  });
+
+  // The first column after a bar is padding; notes start on the one after.
+  const measureAt = (anchor) =>
+    measures.find((m) => anchor > m.bar && anchor < m.endColumn - 1) ||
+    measures[measures.length - 1];
+
+  const onsetAt = (measure, anchor) =>
+    snap((anchor - measure.bar - 2) / measure.columnsPerBeat);
+
+  parsed
+    .flatMap(({ notes }) => notes)
+    .forEach(({ anchor, sustainColumns, ...note }) => {
+      const measure = measureAt(anchor),
+        onset = onsetAt(measure, anchor);
+      let event = measure.events.find((e) => e.onset === onset);
+      if (!event) {
+        event = { onset, column: anchor + 1, notes: [], fingers: [] };
+        measure.events.push(event);
+      }
+      event.notes.push({
+        ...note,
+        sustain: sustainColumns
+          ? snap(sustainColumns / measure.columnsPerBeat)
+          : 0,
+      });
+    });
+
+  measures.forEach((measure) => {
+    measure.events.sort((a, b) => a.onset - b.onset);
+    measure.events.forEach((event) =>
+      event.notes.sort((a, b) => a.string - b.string),
+    );
+  });
+
+  const events = measures.flatMap((measure) =>
+    measure.events.map((event) => ({ measure, event })),
+  );
+
+  const nearestEvent = (column, slack) => {
+    let best = null;
+    events.forEach((candidate) => {
+      const distance = Math.abs(candidate.event.column - column);
+      if (distance <= slack && (!best || distance < best.distance)) {
+        best = { ...candidate, distance };
+      }
+    });
+    return best;
+  };
+
+  const positionOf = (column, direction) => {
+    const found = nearestEvent(column, 3);
+    if (found) {
+      return { measure: found.measure.index, onset: found.event.onset };
+    }
+    const measure = measureAt(column - 1 + direction);
+    return { measure: measure.index, onset: onsetAt(measure, column - 1) };
+  };
+
+  const barres = pending.barres.map(({ endColumn, ...barre }) => ({
+    ...barre,
+    from: positionOf(barre.column, 0),
+    to: positionOf(endColumn, -1),
+  }));
+
+  return { measures, barres, nearestEvent };
+}
+
+function attachFingerings(system, rows, nearestEvent) {
+  rows.forEach(({ text, line }) => {
+    [...text.matchAll(/\d/g)].forEach((match) => {
+      const fingering = {
+        finger: Number(match[0]),
+        line,
+        column: match.index + 1,
+      };
+      system.fingerings.push(fingering);
+      const found = nearestEvent(fingering.column, 2);
+      if (found) found.event.fingers.push(fingering.finger);
+    });
+  });
+}
+
+/**
+ * Parses ASCII tablature into systems, measures and notes. Staffs have six
+ * lines for guitar, or as many as the instrument `detectInstrument` reads
+ * the tab as being for has strings.
+ *
+ * A system is one staff of string lines (`E|---|`) together with the
+ * annotations directly above it (tempo text, dynamics, roman-numeral barre
+ * markers, the `|   |   |` beat ruler) and the left-hand fingering rows
+ * below it, up to the next `~~~~` separator. Systems are grouped into the
+ * sections opened by `(n.) ___ Chord` headers.
+ *
+ * Notes are grouped into events (everything sounding at one onset), with
+ * onsets counted in beats from the start of the measure.
+ *
+ * @param {string} source - The tab text.
+ * @param {{ strings?: number, beatsPerMeasure?: number }} [options]
+ *
+ * @throws {TabSyntaxError} On a malformed staff, with the line and column.
+ */
+export function parseTab(source, options = {}) {
+  const settings = {
+      beatsPerMeasure: 4,
+      ...options,
+      strings: options.strings || detectInstrument(source).strings.length,
+    },
+    lines = source.replace(/\r\n?/g, "\n").split("\n"),
+    model = { title: null, sections: [], systems: [] };
+
+  let section = null,
+    pending = { annotations: [], barres: [], ruler: null },
+    staffLines = [],
+    lastSystem = null,
+    fingeringRows = [],
+    lastNearest = null;
+
+  const flushFingerings = () => {
+    if (lastSystem && fingeringRows.length) {
+      attachFingerings(lastSystem, fingeringRows, lastNearest);
+    }
+    fingeringRows = [];
+  };
+
+  const flushStaff = (lineNumber) => {
+    if (!staffLines.length) return;
+    if (staffLines.length !== settings.strings) {
+      throw new TabSyntaxError(
+        `Expected ${settings.strings} string lines, found ${staffLines.length}`,
+        lineNumber,
+        1,
+      );
+    }
+
+    flushFingerings();
+    const { measures, barres, nearestEvent } = buildStaff(
+      staffLines,
+      pending,
+      settings,
+    );
+    lastSystem = {
+      index: model.systems.length,
+      section: section ? section.number : null,
+      line: staffLines[0].line,
+      strings: staffLines.map(({ text }) => text.match(STRING_LINE)[1]),
+      ruler: pending.ruler || [],
+      annotations: pending.annotations,
+      barres,
+      measures: measures.map(({ bar, columnsPerBeat, ...measure }) => measure),
+      fingerings: [],
+    };
+    lastNearest = nearestEvent;
+    model.systems.push(lastSystem);
+    if (section) section.systems.push(lastSystem.index);
+
+    staffLines = [];
+    pending = { annotations: [], barres: [], ruler: null };
+  };
+
+  lines.forEach((text, i) => {
+    const lineNumber = i + 1,
+      header = text.match(SECTION_HEADER);
+
+    if (STRING_LINE.test(text)) {
+      if (!staffLines.length) flushFingerings();
+      staffLines.push({ text, line: lineNumber });
+      return;
+    }
+    flushStaff(lineNumber);
+
+    if (header) {
+      flushFingerings();
+      lastSystem = null;
+      section = {
+        number: Number(header[1]),
+        line: lineNumber,
+        label: header[2].trim(),
+        chords: parseChordLabel(header[2]),
+        systems: [],
+      };
+      model.sections.push(section);
+      pending = { annotations: [], barres: [], ruler: null };
+    } else if (SEPARATOR_LINE.test(text)) {
+      flushFingerings();
+      lastSystem = null;
+      pending = { annotations: [], barres: [], ruler: null };
+    } else if (text.trim() === "") {
+      // Annotations only count when they sit directly above a staff.
+      if (!pending.ruler) {
+        pending = { annotations: [], barres: [], ruler: null };
+      }
+    } else if (RULER_LINE.test(text)) {
+      pending.ruler = [...text.matchAll(/\|/g)].map((m) => m.index + 1);
+    } else if (lastSystem && FINGERING_LINE.test(text)) {
+      fingeringRows.push({ text, line: lineNumber });
+    } else {
+      if (model.title === null && !model.systems.length && !section) {
+        model.title = text.trim();
+      }
+      const parsed = parseAnnotationLine(text, lineNumber);
+      pending.annotations.push(...parsed.annotations);
+      pending.barres.push(...parsed.barres);
+    }
+  });
+
+  flushStaff(lines.length + 1);
+  flushFingerings();
+
+  return model;
+}
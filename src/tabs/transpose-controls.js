@@ -0,0 +1,54 @@
+import { INSTRUMENTS } from "./instruments";
+import { TUNINGS } from "./tuning";
+
+/**
+ * Wires the controls tab is re-fretted by: `.transpose-input`,
+ * `.capo-input`, `.tuning-select` (with `.tuning-input` for a custom
+ * tuning, shown only when it's chosen) and `.arrange-instrument`.
+ *
+ * @param {object} options
+ * @param {(transposition: { semitones: number, capo: number, tuning: string, instrument: string }) => void} options.onChange -
+ *   Any of them changed. `tuning` is a `TUNINGS` key or the notes typed.
+ */
+export function wireTransposition({ onChange }) {
+  const transposeInputs = document.querySelectorAll(".transpose-input"),
+    capoInputs = document.querySelectorAll(".capo-input"),
+    tuningSelects = document.querySelectorAll(".tuning-select"),
+    tuningInputs = document.querySelectorAll(".tuning-input"),
+    arrangeSelects = document.querySelectorAll(".arrange-instrument");
+
+  arrangeSelects.forEach((select) =>
+    Object.entries(INSTRUMENTS).forEach(([key, { name }]) =>
+      select.append(new Option(name, key)),
+    ),
+  );
+
+  tuningSelects.forEach((select) => {
+    Object.entries(TUNINGS).forEach(([key, { name }]) =>
+      select.append(new Option(name, key)),
+    );
+    select.append(new Option("Custom...", "custom"));
+  });
+
+  const handleChange = () => {
+    const custom = tuningSelects[0]?.value === "custom";
+    tuningInputs.forEach((input) => (input.hidden = !custom));
+    onChange({
+      semitones: Number(transposeInputs[0]?.value) || 0,
+      capo: Number(capoInputs[0]?.value) || 0,
+      tuning: custom
+        ? tuningInputs[0]?.value || ""
+        : tuningSelects[0]?.value || "",
+      instrument: arrangeSelects[0]?.value || "",
+    });
+  };
+  [
+    ...transposeInputs,
+    ...capoInputs,
+    ...tuningSelects,
+    ...tuningInputs,
+    ...arrangeSelects,
+  ].forEach((input) => {
+    input.addEventListener("change", handleChange);
+  });
+}
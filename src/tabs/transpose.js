@@ -0,0 +1,310 @@
+import { SECTION_HEADER } from "./pages";
+import { parseTab } from "./parse";
+import {
+  FLATS,
+  FRET_LIMIT,
+  SHARPS,
+  STANDARD_TUNING,
+  TUNING_LINE,
+  formatTuning,
+  pitchClass,
+  stringName,
+} from "./tuning";
+
+// A root is a capital letter that opens a chord or follows a slash bass.
+const CHORD_ROOT = /(^|[\s,/>(])([A-G])([#b♯♭]?)/g;
+
+const isDigit = (char) => char >= "0" && char <= "9";
+
+/**
+ * Transposes the chord names in a label, e.g. `Am, Am/G` by 5 → `Dm, Dm/C`.
+ *
+ * Roots keep the accidental style they were written in (`#`, `♯`, `b`,
+ * `♭`); naturals that land on a black key use sharps unless `flats` is set.
+ *
+ * @param {string} label
+ * @param {number} semitones
+ * @param {{ flats?: boolean }} [options]
+ */
+export function transposeChordName(label, semitones, { flats = false } = {}) {
+  return label.replace(CHORD_ROOT, (_match, lead, letter, accidental) => {
+    const pitch = pitchClass(letter, accidental) + semitones,
+      useFlats = accidental ? /[b♭]/.test(accidental) : flats,
+      name = (useFlats ? FLATS : SHARPS)[((pitch % 12) + 12) % 12];
+
+    return (
+      lead +
+      (/[♯♭]/.test(accidental)
+        ? name.replace("#", "♯").replace("b", "♭")
+        : name)
+    );
+  });
+}
+
+/**
+ * Lines belonging to a system: its string lines, the annotation lines
+ * directly above them and its fingering rows. Columns are kept aligned
+ * across all of them when a column has to be inserted.
+ */
+function systemBlock(system, lines, strings) {
+  const staff = Array.from(
+      { length: strings },
+      (_value, i) => system.line - 1 + i,
+    ),
+    above = [];
+
+  for (let i = system.line - 2; i >= 0; i--) {
+    const text = lines[i].join("");
+    if (text.trim() === "" || SECTION_HEADER.test(text)) break;
+    if (/^\s*~{4,}\s*$/.test(text)) break;
+    above.push(i);
+  }
+
+  const below = [
+    ...new Set(system.fingerings.map((fingering) => fingering.line - 1)),
+  ];
+  return { staff, extra: [...above, ...below] };
+}
+
+/**
+ * Rewrites the label column of a staff (`E|`, `Bb|`) for a tuning. Labels
+ * are padded to one width, and the lines around the staff shift with them.
+ */
+function relabel(block, lines, tuning) {
+  const labels = tuning.map(stringName),
+    width = Math.max(...labels.map((label) => label.length)),
+    shift = width - lines[block.staff[0]].indexOf("|");
+
+  block.staff.forEach((index, string) => {
+    const line = lines[index];
+    line.splice(0, line.indexOf("|"), ...labels[string].padEnd(width));
+  });
+  block.extra.forEach((index) => {
+    const line = lines[index];
+    if (shift > 0) line.unshift(..." ".repeat(shift));
+    for (let i = 0; i < -shift && line[0] === " "; i++) line.shift();
+  });
+}
+
+/**
+ * Transposes guitar tab by a number of semitones, or re-voices it for a capo.
+ *
+ * Every fretted note keeps its column and, where the new fret is between 0
+ * and `frets`, its string. Notes that fall off the neck move to the nearest
+ * string that can play them at a free spot; failing that they drop or rise
+ * an octave, on their own string if it is free. A note with nowhere to go
+ * is left out and reported. When a fret gains a digit and has no room to
+ * its left, a column is inserted through the whole system. Section headers
+ * have their chord names transposed; fingerings and barre markings are left
+ * as written.
+ *
+ * With a capo, frets are written relative to it and the sounding pitch is
+ * unchanged, so `{ capo: 2 }` alone re-voices and `{ semitones: 5 }` alone
+ * changes key. Likewise a `target` tuning re-frets for that tuning, and
+ * relabels the strings and any `Tuning:` line to match.
+ *
+ * @param {string} source - Tab text.
+ * @param {{ semitones?: number, capo?: number, tuning?: number[], target?: number[], frets?: number }} [options]
+ *   `tuning` is the tuning the tab is written for, `target` the one to write
+ *   it for; both default to standard.
+ *
+ * @returns {{ text: string, moved: object[], octave: object[], dropped: object[] }}
+ *   The new text, plus the notes that changed string, were shifted by an
+ *   octave or were left out, each with its original `line` and `column`.
+ *
+ * @throws {TabSyntaxError} When the source cannot be parsed.
+ */
+export function transposeTab(source, options = {}) {
+  const {
+      semitones = 0,
+      capo = 0,
+      tuning = STANDARD_TUNING,
+      target = tuning,
+      frets = FRET_LIMIT,
+    } = options,
+    shift = semitones - capo,
+    retuned = target.join() !== tuning.join(),
+    model = parseTab(source, { strings: tuning.length }),
+    lines = source
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .map((line) => line.split("")),
+    moved = [],
+    octave = [],
+    dropped = [];
+
+  const fretOn = (note, string) =>
+    tuning[note.string] + note.fret + shift - target[string];
+
+  // A fret may only go on dashes, and must not run into a neighbour's digits.
+  const fits = (line, start, end) =>
+    start > 0 &&
+    line.slice(start, end + 1).every((char) => char === "-") &&
+    !isDigit(line[start - 1] || "") &&
+    !isDigit(line[end + 1] || "");
+
+  model.systems.forEach((system) => {
+    const block = systemBlock(system, lines, tuning.length);
+    let pending = [];
+
+    // Inserts a column at `at`, pushing that column and everything after it
+    // one to the right. A two-digit fret is pushed whole, so the notes of a
+    // chord stay lined up.
+    const insertColumn = (at) => {
+      block.staff.forEach((index) => {
+        const line = lines[index];
+        let column = at;
+        while (isDigit(line[column - 1]) && isDigit(line[column])) column--;
+        line.splice(column, 0, line[column - 1] === "=" ? "=" : "-");
+      });
+      block.extra.forEach((index) => {
+        if (lines[index].length > at) lines[index].splice(at, 0, " ");
+      });
+      pending.forEach((note) => {
+        if (note.anchor >= at) note.anchor++;
+      });
+    };
+
+    // Writes a fret so its last digit lands on the note's column, making
+    // room for a second digit when the column to the left is taken.
+    const write = (note, string, fret, insert) => {
+      const line = lines[system.line - 1 + string],
+        digits = String(fret),
+        start = note.anchor - digits.length + 1;
+
+      if (!fits(line, start, note.anchor)) {
+        if (!insert || digits.length === 1) return false;
+        insertColumn(note.anchor);
+        return write(note, string, fret, false);
+      }
+      line.splice(start, digits.length, ...digits);
+      return true;
+    };
+
+    const events = system.measures
+      .flatMap((measure) => measure.events)
+      .sort((a, b) => b.column - a.column);
+
+    // Right to left, so inserted columns never move a note still to come.
+    events.forEach((event) => {
+      const notes = event.notes
+        .filter((note) => note.fret !== null)
+        .map((note) => {
+          const line = lines[note.line - 1],
+            start = note.column - 1,
+            anchor = start + String(note.fret).length - 1;
+          let sustain = 0;
+          while (line[anchor + sustain + 1] === "=") sustain++;
+          line.fill("-", start, anchor + 1);
+          return { ...note, anchor, sustain };
+        })
+        .sort((a, b) => b.anchor - a.anchor);
+      pending = notes;
+
+      const homeless = notes.filter((note) => {
+        const fret = fretOn(note, note.string);
+        return !(
+          fret >= 0 &&
+          fret <= frets &&
+          write(note, note.string, fret, true)
+        );
+      });
+
+      // Same pitch on another string first, nearest string first; then the
+      // same note an octave away, starting with its own string.
+      const placements = (note) => {
+        const tooLow = fretOn(note, note.string) < 0,
+          strings = tuning
+            .map((_pitch, string) => string)
+            .sort(
+              (a, b) =>
+                Math.abs(a - note.string) - Math.abs(b - note.string) ||
+                // Too low for its string: try the lower strings first.
+                (tooLow ? b - a : a - b),
+            ),
+          inRange = ({ fret }) => fret >= 0 && fret <= frets;
+
+        return [
+          ...strings
+            .filter((string) => string !== note.string)
+            .map((string) => ({ string, fret: fretOn(note, string) }))
+            .filter(inRange),
+          ...strings
+            .map((string) => {
+              let fret = fretOn(note, string);
+              while (fret < 0) fret += 12;
+              while (fret > frets) fret -= 12;
+              return { string, fret, octave: true };
+            })
+            .filter(inRange),
+        ];
+      };
+
+      // Notes with the fewest ways out pick first.
+      homeless
+        .map((note) => ({ note, options: placements(note) }))
+        .sort(
+          (a, b) =>
+            a.options.filter((option) => !option.octave).length -
+            b.options.filter((option) => !option.octave).length,
+        )
+        .forEach(({ note, options }) => {
+          const placed = options.find(({ string, fret }) => {
+            if (string === note.string) return write(note, string, fret, true);
+            const free = lines[system.line - 1 + string]
+              .slice(note.anchor + 1, note.anchor + 1 + note.sustain)
+              .every((char) => char === "-" || char === "|");
+            return free && write(note, string, fret, false);
+          });
+          const position = { line: note.line, column: note.column };
+
+          if (!placed) {
+            dropped.push({ ...position, string: note.string, fret: note.fret });
+            return;
+          }
+          if (placed.string !== note.string) {
+            const from = lines[note.line - 1],
+              to = lines[system.line - 1 + placed.string];
+            for (let i = 1; i <= note.sustain; i++) {
+              if (from[note.anchor + i] === "=") from[note.anchor + i] = "-";
+              if (to[note.anchor + i] === "-") to[note.anchor + i] = "=";
+            }
+            moved.push({ ...position, string: note.string, to: placed.string });
+          }
+          if (placed.octave) octave.push({ ...position, fret: placed.fret });
+        });
+    });
+
+    if (retuned) relabel(block, lines, target);
+  });
+
+  const text = lines
+    .map((chars) => {
+      const line = chars.join(""),
+        header = line.match(SECTION_HEADER);
+      if (retuned && TUNING_LINE.test(line)) {
+        return line.replace(/(Tuning:[ \t]*).*$/i, `$1${formatTuning(target)}`);
+      }
+      if (!header || !semitones) return line;
+      return (
+        line.slice(0, line.length - header[2].length) +
+        transposeChordName(header[2], semitones)
+      );
+    })
+    .join("\n");
+
+  return { text, moved, octave, dropped };
+}
+
+/**
+ * Re-frets tab written for one tuning so it plays the same pitches in
+ * another, e.g. standard to drop D. See `transposeTab` for how notes move.
+ *
+ * @param {string} source - Tab text.
+ * @param {number[]} from - The tuning the tab is written for.
+ * @param {number[]} to - The tuning to write it for.
+ * @param {{ frets?: number }} [options]
+ */
+export function retuneTab(source, from, to, options = {}) {
+  return transposeTab(source, { ...options, tuning: from, target: to });
+}
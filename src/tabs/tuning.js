@@ -0,0 +1,169 @@
+export const SHARPS = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+export const FLATS = [
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "Gb",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+];
+
+const NATURALS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { "#": 1, "♯": 1, b: -1, "♭": -1 };
+
+// How open strings are usually spelled on a tab's label column.
+const STRING_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "Bb",
+  "B",
+];
+
+/**
+ * Matches a `Tuning: ...` line. Group 1 is the tuning.
+ */
+export const TUNING_LINE = /^[ \t]*Tuning:[ \t]*(.+?)[ \t]*$/im;
+
+/**
+ * Open-string pitches of standard tuning as MIDI note numbers, listed top
+ * line first the way tab is written: e B G D A E.
+ */
+export const STANDARD_TUNING = [64, 59, 55, 50, 45, 40];
+
+/**
+ * Highest fret the reader will write. A classical guitar has 19.
+ */
+export const FRET_LIMIT = 19;
+
+/**
+ * Named guitar tunings, top line first like `STANDARD_TUNING`.
+ */
+export const TUNINGS = {
+  standard: { name: "Standard (EADGBE)", strings: STANDARD_TUNING },
+  "drop-d": { name: "Drop D (DADGBE)", strings: [64, 59, 55, 50, 45, 38] },
+  dadgad: { name: "DADGAD", strings: [62, 57, 55, 50, 45, 38] },
+  "open-g": { name: "Open G (DGDGBD)", strings: [62, 59, 55, 50, 43, 38] },
+};
+
+/**
+ * Pitch class (0 = C) of a note name such as `Bb` or `F♯`.
+ *
+ * @param {string} letter - `A` to `G`, either case.
+ * @param {string} [accidental] - `#`, `♯`, `b` or `♭`.
+ */
+export function pitchClass(letter, accidental = "") {
+  const natural = NATURALS[letter.toUpperCase()];
+  return (natural + (ACCIDENTALS[accidental] || 0) + 12) % 12;
+}
+
+/**
+ * Name of an open string for the label column, e.g. 58 → `Bb`.
+ */
+export function stringName(pitch) {
+  return STRING_NAMES[((pitch % 12) + 12) % 12];
+}
+
+/**
+ * Reads a tuning: a key of `TUNINGS`, or note names from the lowest string
+ * up such as `E A D G Bb E` or `DADGAD`.
+ *
+ * Names may carry an octave (`D2`); without one each string takes the octave
+ * closest to the same string in `reference`, standard tuning by default.
+ *
+ * @param {string} spec
+ * @param {number[]} [reference] - Pitches top line first.
+ *
+ * @returns {number[]|null} Pitches top line first, or `null` if unreadable.
+ */
+export function parseTuning(spec, reference = STANDARD_TUNING) {
+  const key = String(spec).trim();
+  if (TUNINGS[key]) return TUNINGS[key].strings;
+
+  const notes = [...key.matchAll(/([A-Ga-g])([#b♯♭]?)(-?\d)?/g)];
+  if (
+    !notes.length ||
+    notes.map((m) => m[0]).join("") !== key.replace(/[\s,]+/g, "")
+  ) {
+    return null;
+  }
+
+  // Strings beyond the reference's continue down in fourths.
+  const last = reference.length - 1,
+    nearest = (index) =>
+      reference[index] ?? reference[last] - 5 * (index - last);
+
+  return notes.reverse().map(([, letter, accidental, octave], index) => {
+    const pc = pitchClass(letter, accidental);
+    if (octave !== undefined) return pc + 12 * (Number(octave) + 1);
+
+    const near = nearest(index),
+      below = near - ((near - pc + 1200) % 12);
+    return near - below > 6 ? below + 12 : below;
+  });
+}
+
+/**
+ * Writes a tuning from the lowest string up, e.g. `D A D G A D`.
+ *
+ * @param {number[]} strings - Pitches top line first.
+ */
+export function formatTuning(strings) {
+  return [...strings].reverse().map(stringName).join(" ");
+}
+
+/**
+ * Works out the tuning a tab was written for.
+ *
+ * A `Tuning: DADGAD` line wins; otherwise the string labels of the first
+ * staff are read, and anything unreadable falls back to the instrument's
+ * usual tuning.
+ *
+ * @param {string} source - Tab text.
+ * @param {number[]} [usual] - The instrument's usual tuning, top line
+ *   first; standard guitar by default.
+ *
+ * @returns {number[]} Pitches top line first.
+ */
+export function detectTuning(source, usual = STANDARD_TUNING) {
+  const strings = usual.length,
+    line = source.match(TUNING_LINE),
+    declared = line && parseTuning(line[1], usual);
+  if (declared && declared.length === strings) return declared;
+
+  const labels = source
+    .split(/\r?\n/)
+    .map((text) => text.match(/^([A-Ga-g][#b♯♭]?) *\|/))
+    .filter(Boolean)
+    .slice(0, strings)
+    .map((match) => match[1]);
+  const read =
+    labels.length === strings && parseTuning(labels.reverse().join(" "), usual);
+  return read || usual;
+}
@@ -0,0 +1,211 @@
+// Samples per analysis frame, and between the starts of frames.
+const FRAME = 1024;
+const HOP = 512;
+
+// Tempo most music sits near, which breaks ties between a tempo and its
+// double or half; and how far from it the preference fades.
+const PREFERRED_BPM = 120;
+const PREFERENCE_OCTAVES = 1;
+
+// How strongly the beat tracker keeps to an even pulse.
+const TIGHTNESS = 100;
+
+/**
+ * Mixes an audio buffer down to one channel.
+ *
+ * @param {AudioBuffer} buffer
+ *
+ * @returns {Float32Array}
+ */
+export function monoOf(buffer) {
+  if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+
+  const mono = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const channel = buffer.getChannelData(c);
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / buffer.numberOfChannels;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Measures how strongly each frame starts a note: the rise in loudness
+ * from the frame before, on a log scale, with the signal's first
+ * difference standing in for a high-pass so picked and struck attacks
+ * stand out over sustained notes. Falls are ignored.
+ *
+ * @param {Float32Array} samples
+ *
+ * @returns {Float32Array} One value per frame, `HOP` samples apart,
+ *   lightly smoothed, with its mean taken off and negatives cut to 0.
+ */
+export function onsetStrength(samples) {
+  const frames = Math.max(0, Math.floor((samples.length - FRAME) / HOP) + 1),
+    loudness = new Float32Array(frames),
+    strength = new Float32Array(frames);
+
+  for (let f = 0; f < frames; f++) {
+    let energy = 0;
+    for (let i = f * HOP + 1; i < f * HOP + FRAME; i++) {
+      const rise = samples[i] - samples[i - 1];
+      energy += rise * rise;
+    }
+    loudness[f] = Math.log(1e-6 + energy / FRAME);
+  }
+
+  let total = 0;
+  for (let f = 1; f < frames; f++) {
+    strength[f] = Math.max(0, loudness[f] - loudness[f - 1]);
+    total += strength[f];
+  }
+  // A little smoothing keeps a beat that falls between frames from
+  // scoring lower than one that lands on a frame.
+  const mean = total / Math.max(1, frames),
+    smoothed = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    const around =
+      0.25 * (strength[f - 1] || 0) +
+      0.5 * strength[f] +
+      0.25 * (strength[f + 1] || 0);
+    smoothed[f] = Math.max(0, around - mean);
+  }
+  return smoothed;
+}
+
+/**
+ * Finds the beat period in an onset strength curve by autocorrelation,
+ * weighted towards tempos near 120 BPM.
+ *
+ * @param {Float32Array} strength - From `onsetStrength`.
+ * @param {number} frameRate - Frames per second.
+ * @param {{ minBpm?: number, maxBpm?: number }} [options]
+ *
+ * @returns {{ bpm: number, period: number, confidence: number }|null}
+ *   `period` in frames; `confidence` from 0 to 1. `null` for silence.
+ */
+export function detectTempo(strength, frameRate, options = {}) {
+  const { minBpm = 50, maxBpm = 220 } = options,
+    shortest = Math.max(1, Math.floor((60 * frameRate) / maxBpm)),
+    longest = Math.min(
+      strength.length - 1,
+      Math.ceil((60 * frameRate) / minBpm),
+    );
+  if (longest <= shortest) return null;
+
+  const correlation = (lag) => {
+    let sum = 0;
+    for (let i = lag; i < strength.length; i++) {
+      sum += strength[i] * strength[i - lag];
+    }
+    return sum / (strength.length - lag);
+  };
+
+  const scores = [];
+  let best = null;
+  for (let lag = shortest; lag <= longest; lag++) {
+    const bpm = (60 * frameRate) / lag,
+      octaves = Math.log2(bpm / PREFERRED_BPM) / PREFERENCE_OCTAVES,
+      score = correlation(lag) * Math.exp(-0.5 * octaves * octaves);
+    scores.push(score);
+    if (!best || score > best.score) best = { lag, score };
+  }
+  if (!best || best.score <= 0) return null;
+
+  // A parabola through the peak and its neighbours finds it between lags.
+  const at = best.lag - shortest,
+    [before, after] = [scores[at - 1], scores[at + 1]];
+  let period = best.lag;
+  if (before !== undefined && after !== undefined) {
+    const curve = before - 2 * best.score + after;
+    if (curve < 0) period += (0.5 * (before - after)) / curve;
+  }
+
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return {
+    bpm: (60 * frameRate) / period,
+    period,
+    confidence: Math.round(Math.max(0, 1 - mean / best.score) * 100) / 100,
+  };
+}
+
+/**
+ * Places beats on the strongest onsets that keep an even pulse, by dynamic
+ * programming: each frame's best score is its own onset strength plus the
+ * best earlier beat, less a penalty for straying from the beat period.
+ *
+ * @param {Float32Array} strength - From `onsetStrength`.
+ * @param {number} period - Beat period in frames.
+ *
+ * @returns {number[]} Frame indices of the beats, in order.
+ */
+export function trackBeats(strength, period) {
+  const frames = strength.length,
+    score = new Float32Array(frames),
+    previous = new Int32Array(frames).fill(-1);
+
+  for (let t = 0; t < frames; t++) {
+    let best = 0;
+    const from = Math.max(0, Math.round(t - 2 * period)),
+      to = Math.round(t - period / 2);
+    for (let p = from; p <= to; p++) {
+      const stray = Math.log((t - p) / period),
+        candidate = score[p] - TIGHTNESS * stray * stray;
+      if (candidate > best) {
+        best = candidate;
+        previous[t] = p;
+      }
+    }
+    score[t] = strength[t] + best;
+  }
+
+  // The last beat is the best-scoring frame in the final period.
+  let last = Math.max(0, frames - Math.ceil(period));
+  for (let t = last; t < frames; t++) if (score[t] > score[last]) last = t;
+
+  const beats = [];
+  for (let t = last; t >= 0; t = previous[t]) beats.unshift(t);
+  return beats;
+}
+
+/**
+ * Works out the tempo and beats of a recording.
+ *
+ * @param {AudioBuffer} buffer - Decoded audio.
+ * @param {{ minBpm?: number, maxBpm?: number }} [options]
+ *
+ * @returns {{ bpm: number, confidence: number, beats: number[], duration: number }|null}
+ *   `beats` in seconds from the start; `null` when no pulse is found.
+ */
+export function analyzeAudio(buffer, options = {}) {
+  const frameRate = buffer.sampleRate / HOP,
+    strength = onsetStrength(monoOf(buffer)),
+    tempo = detectTempo(strength, frameRate, options);
+  if (!tempo) return null;
+
+  // Frame f covers the samples from f * HOP; its onset is where it centres.
+  const offset = FRAME / 2 / buffer.sampleRate;
+  return {
+    bpm: Math.round(tempo.bpm * 10) / 10,
+    confidence: tempo.confidence,
+    beats: trackBeats(strength, tempo.period).map(
+      (frame) => Math.round((frame / frameRate + offset) * 1000) / 1000,
+    ),
+    duration: buffer.duration,
+  };
+}
+
+/**
+ * Decodes a local audio file and works out its tempo and beats.
+ *
+ * @param {Blob} file - e.g. from an `<input type="file">`.
+ * @param {BaseAudioContext} context - Used to decode the file.
+ * @param {{ minBpm?: number, maxBpm?: number }} [options]
+ *
+ * @returns {Promise<{ bpm: number, confidence: number, beats: number[], duration: number }|null>}
+ */
+export async function analyzeFile(file, context, options = {}) {
+  const buffer = await context.decodeAudioData(await file.arrayBuffer());
+  return analyzeAudio(buffer, options);
+}
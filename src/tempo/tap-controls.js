@@ -0,0 +1,93 @@
+import { analyzeFile } from "./detect";
+import { createTapTempo, loadSessions, saveSession } from "./tap";
+
+const RELATION_NOTES = {
+  double: "double time?",
+  half: "half time?",
+};
+
+/**
+ * Sets the tempo from taps on `#bpm-btn`, or from a recording picked in
+ * `.tempo-file`, saying how sure it is in `#bpm-monitor`. Both go into the
+ * session history saved in this browser.
+ *
+ * @param {object} options
+ * @param {() => AudioContext} options.getContext - For decoding recordings.
+ * @param {() => number} options.getBpm - The tempo set, to compare taps to.
+ * @param {(bpm: number) => void} options.setBpm
+ * @param {(bpm: number) => void} [options.onTap] - A tap gave a tempo.
+ *
+ * @returns {object} The tap tempo, as `createTapTempo` makes it.
+ */
+export function createTapControls({
+  getContext,
+  getBpm,
+  setBpm,
+  onTap = () => {},
+}) {
+  const tapTempo = createTapTempo({
+    getReference: getBpm,
+    onSession: saveSession,
+    sessions: loadSessions(),
+  });
+  const monitor = document.getElementById("bpm-monitor");
+
+  function handleClick() {
+    const estimate = tapTempo.tap();
+    if (!estimate) {
+      monitor.innerText = "Tap…";
+      return;
+    }
+    onTap(estimate.bpm);
+    setBpm(estimate.bpm);
+    monitor.innerText = [
+      estimate.bpm,
+      `${Math.round(estimate.confidence * 100)}%`,
+      RELATION_NOTES[estimate.relation],
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+  document.querySelector("#bpm-btn").addEventListener("click", handleClick);
+
+  // A recording's tempo and beat map go into the same session history as
+  // tapped ones.
+  async function handleRecording(e) {
+    const [file] = e.target.files;
+    if (!file) return;
+    monitor.innerText = `Listening to ${file.name}…`;
+
+    let result;
+    try {
+      result = await analyzeFile(file, getContext());
+    } catch (error) {
+      monitor.innerText = `Can't read ${file.name}`;
+      return;
+    }
+    if (!result) {
+      monitor.innerText = `No beat found in ${file.name}`;
+      return;
+    }
+
+    const bpm = Math.round(result.bpm);
+    tapTempo.record({
+      source: "audio",
+      file: file.name,
+      bpm,
+      confidence: result.confidence,
+      beats: result.beats,
+      duration: result.duration,
+    });
+    setBpm(bpm);
+    monitor.innerText = [
+      bpm,
+      `${Math.round(result.confidence * 100)}%`,
+      file.name,
+    ].join(" · ");
+  }
+  document.querySelectorAll(".tempo-file").forEach((input) => {
+    input.addEventListener("change", handleRecording);
+  });
+
+  return tapTempo;
+}
@@ -0,0 +1,232 @@
+const STORAGE_KEY = "tempo-sessions";
+
+// Sessions kept, newest last. The loop trainer adds one every pass, so
+// the history would otherwise grow without end.
+const MAX_SESSIONS = 500;
+
+// Intervals further than this from the median are stray taps.
+const TOLERANCE = 0.25;
+
+// How close a ratio has to be to 2 or 1/2 to count as double or half time.
+const OCTAVE_SLACK = 0.08;
+
+const near = (gap, beat) => Math.abs(gap - beat) <= beat * TOLERANCE;
+
+/**
+ * The median gap. With an even count it is whichever middle gap more of the
+ * others agree with, or the later one, so a window straddling a change of
+ * tempo settles on one side of it rather than between the two.
+ */
+function medianGap(gaps) {
+  const sorted = [...gaps].sort((a, b) => a - b),
+    middle = Math.floor(sorted.length / 2);
+  if (sorted.length % 2) return sorted[middle];
+
+  const support = (beat) => gaps.filter((gap) => near(gap, beat)).length,
+    [low, high] = [sorted[middle - 1], sorted[middle]];
+  if (support(low) !== support(high)) {
+    return support(low) > support(high) ? low : high;
+  }
+  return gaps.lastIndexOf(low) > gaps.lastIndexOf(high) ? low : high;
+}
+
+/**
+ * How one tempo relates to another: `double` when it is twice as fast,
+ * `half` when half as fast, otherwise `null`.
+ *
+ * @param {number} bpm
+ * @param {number} reference
+ *
+ * @returns {"double"|"half"|null}
+ */
+export function tempoRelation(bpm, reference) {
+  if (!bpm || !reference) return null;
+  const ratio = bpm / reference;
+  if (Math.abs(ratio / 2 - 1) <= OCTAVE_SLACK) return "double";
+  if (Math.abs(ratio * 2 - 1) <= OCTAVE_SLACK) return "half";
+  return null;
+}
+
+/**
+ * Estimates a tempo from the gaps between taps.
+ *
+ * The median gap sets the beat; gaps more than a quarter away from it are
+ * thrown out as stray or missed taps and the rest averaged. Confidence
+ * grows with the number of gaps kept, up to `window`, and falls as they
+ * spread out.
+ *
+ * @param {number[]} intervals - Milliseconds between taps, oldest first.
+ * @param {{ window?: number }} [options] - Most recent gaps to look at.
+ *
+ * @returns {{ bpm: number, confidence: number, kept: number, rejected: number }|null}
+ *   `confidence` runs from 0 to 1. `null` with no gaps to go on.
+ */
+export function estimateTempo(intervals, { window = 8 } = {}) {
+  const recent = intervals.filter((gap) => gap > 0).slice(-window);
+  if (!recent.length) return null;
+
+  const beat = medianGap(recent),
+    kept = recent.filter((gap) => near(gap, beat)),
+    mean = kept.reduce((sum, gap) => sum + gap, 0) / kept.length,
+    spread = Math.sqrt(
+      kept.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / kept.length,
+    );
+
+  const confidence =
+    Math.min(1, kept.length / window) *
+    (kept.length / recent.length) *
+    Math.max(0, 1 - spread / mean / TOLERANCE);
+
+  return {
+    bpm: 60000 / mean,
+    confidence: Math.round(confidence * 100) / 100,
+    kept: kept.length,
+    rejected: recent.length - kept.length,
+  };
+}
+
+/**
+ * Turns taps into a tempo.
+ *
+ * Every tap updates the estimate from a rolling window of recent gaps. A
+ * pause longer than `resetAfter` ends the session; finished sessions are
+ * kept, newest last and at most `MAX_SESSIONS` of them, and a tap after
+ * the pause starts a new one. Each estimate says whether it is double or
+ * half the tempo set, which usually means tapping eighths or every other
+ * beat. The tempo is read again on every tap, but a change to the one the
+ * session itself tapped out isn't taken as a new one to compare against.
+ *
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock, `performance.now` by default.
+ * @param {number} [options.resetAfter] - Pause in milliseconds that ends a session.
+ * @param {number} [options.window] - Gaps the estimate looks back over.
+ * @param {() => number} [options.getReference] - Tempo to compare against, the one set now.
+ * @param {(session: object) => void} [options.onSession] - A session ended.
+ * @param {object[]} [options.sessions] - History to carry on from.
+ */
+export function createTapTempo({
+  now = () => performance.now(),
+  resetAfter = 3000,
+  window = 8,
+  getReference = () => null,
+  onSession = () => {},
+  sessions = [],
+} = {}) {
+  const history = sessions.slice(-MAX_SESSIONS);
+
+  function keep(session) {
+    history.push(session);
+    history.splice(0, history.length - MAX_SESSIONS);
+  }
+  let session = null,
+    timer = null;
+
+  /**
+   * Ends the running session, keeping it if it got as far as a tempo.
+   *
+   * @returns {object|null} The kept session: tempo, confidence, tap count
+   *   and the `intervals` between taps in milliseconds.
+   */
+  function end() {
+    clearTimeout(timer);
+    timer = null;
+    if (!session) return null;
+
+    const { taps, ...rest } = session;
+    session = null;
+    if (!rest.bpm) return null;
+
+    const finished = {
+      ...rest,
+      taps: taps.length,
+      intervals: taps.slice(1).map((time, i) => Math.round(time - taps[i])),
+    };
+
+    keep(finished);
+    onSession(finished);
+    return finished;
+  }
+
+  /**
+   * Counts a tap.
+   *
+   * @returns {{ bpm: number, confidence: number, relation: "double"|"half"|null, taps: number }|null}
+   *   `null` on the first tap of a session, which has no gap yet.
+   */
+  function tap() {
+    const at = now();
+    if (session && at - session.taps[session.taps.length - 1] > resetAfter) {
+      end();
+    }
+    if (!session) {
+      session = {
+        source: "tap",
+        startedAt: new Date().toISOString(),
+        reference: null,
+        taps: [],
+        bpm: null,
+        confidence: 0,
+      };
+    }
+    const reference = Number(getReference()) || null;
+    if (reference !== session.bpm) session.reference = reference;
+
+    session.taps.push(at);
+    clearTimeout(timer);
+    timer = setTimeout(end, resetAfter);
+
+    const estimate = estimateTempo(
+      session.taps.slice(1).map((time, i) => time - session.taps[i]),
+      { window },
+    );
+    if (!estimate) return null;
+
+    session.bpm = Math.round(estimate.bpm);
+    session.confidence = estimate.confidence;
+    return {
+      bpm: session.bpm,
+      confidence: estimate.confidence,
+      relation: tempoRelation(estimate.bpm, session.reference),
+      taps: session.taps.length,
+    };
+  }
+
+  return {
+    tap,
+    end,
+    /**
+     * Adds a session measured some other way, e.g. from a recording.
+     */
+    record: (details) => {
+      const recorded = { startedAt: new Date().toISOString(), ...details };
+      keep(recorded);
+      onSession(recorded);
+      return recorded;
+    },
+    sessions: () => [...history],
+    isTapping: () => session !== null,
+  };
+}
+
+/**
+ * Reads the tempo sessions saved in this browser, oldest first.
+ */
+export function loadSessions() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Appends a tempo session to the ones saved in this browser, dropping the
+ * oldest past `MAX_SESSIONS`.
+ *
+ * @returns {object[]} Every saved session.
+ */
+export function saveSession(session) {
+  const sessions = [...loadSessions(), session].slice(-MAX_SESSIONS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  return sessions;
+}
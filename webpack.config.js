@@ -1,5 +1,24 @@
+const fs = require("fs");
 const path = require("path");
 
+// The page is written once, in public/, which the dev server serves. The
+// copy at the root is made from it on every build and loads the bundle from
+// dist/, so a built checkout opens straight from disk.
+class RootPage {
+  apply(compiler) {
+    compiler.hooks.afterEmit.tap("RootPage", () => {
+      const page = fs.readFileSync(
+        path.resolve(__dirname, "public/index.html"),
+        "utf8",
+      );
+      fs.writeFileSync(
+        path.resolve(__dirname, "index.html"),
+        page.replace('src="./bundle.js"', 'src="./dist/bundle.js"'),
+      );
+    });
+  }
+}
+
 module.exports = {
   mode: "development",
   entry: "./src/index.js",
@@ -7,10 +26,12 @@ module.exports = {
     path: path.resolve(__dirname, "dist"),
     filename: "bundle.js",
   },
+  plugins: [new RootPage()],
   devServer: {
-    static: {
-      directory: path.resolve(__dirname, "dist"),
-    },
+    static: [
+      { directory: path.resolve(__dirname, "public") },
+      { directory: __dirname, watch: false },
+    ],
     port: 3000,
     open: true,
     hot: true,
@@ -24,6 +45,10 @@ module.exports = {
         include: path.resolve(__dirname, "src"),
         use: ["style-loader", "css-loader", "postcss-loader"],
       },
+      {
+        test: /\.(tab|tak|txt|md|cho|chopro|chordpro)$/i,
+        type: "asset/source",
+      },
     ],
   },
 };